@@ -0,0 +1,113 @@
+// Run every registered visualization query and write the results into dist/data
+//
+//   npm run build && npm run build:data
+//
+// The app modules are loaded through Vite so they resolve exactly as in the browser build
+// (extensionless imports, import.meta.env). A query that fails is skipped with a warning and
+// the deployed view falls back to querying live. When every query fails the script exits with an
+// error, so a deploy does not ship without snapshots unnoticed; pass --allow-empty to accept that.
+
+import { createServer } from 'vite';
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const USER_AGENT = 'wikidata-visualizations snapshot builder (https://github.com/markhahnel/wikidata-visualizations)';
+
+const distDir = path.resolve('dist');
+const allowEmpty = process.argv.includes('--allow-empty');
+
+if (!existsSync(distDir)) {
+  console.error('dist/ does not exist; run `npm run build` first.');
+  process.exit(1);
+}
+
+const server = await createServer({
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  logLevel: 'error'
+});
+
+try {
+  const { VISUALIZATION_QUERIES } = await server.ssrLoadModule('/src/queries/index.js');
+  const { querySPARQLDataset, isOfflineMode } = await server.ssrLoadModule('/src/utils/wikidata.js');
+  const { getEndpointConfig, registerTransport, setEndpointConfig } = await server.ssrLoadModule('/src/utils/endpoint.js');
+  const { hashQuery } = await server.ssrLoadModule('/src/utils/fixtures.js');
+  const { queryKeyOf, SNAPSHOT_DIRECTORY, SNAPSHOT_MANIFEST } = await server.ssrLoadModule('/src/utils/snapshots.js');
+
+  if (isOfflineMode()) {
+    throw new Error('The fixtures transport is configured; snapshots need a live SPARQL endpoint.');
+  }
+
+  // No CORS outside the browser: POST straight to the endpoint and identify ourselves as
+  // Wikidata's query service policy asks of automated clients
+  registerTransport('snapshot', (sparqlQuery, config, options = {}) => fetch(config.endpoint, {
+    ...options,
+    method: 'POST',
+    headers: {
+      'Accept': 'application/sparql-results+json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': USER_AGENT
+    },
+    body: new URLSearchParams({ query: sparqlQuery, format: 'json' }).toString()
+  }));
+  setEndpointConfig({ transport: 'snapshot' }, { persist: false });
+
+  const outDir = path.join(distDir, SNAPSHOT_DIRECTORY);
+  await rm(outDir, { recursive: true, force: true });
+  await mkdir(outDir, { recursive: true });
+
+  const generatedAt = new Date().toISOString();
+  const manifest = { version: 1, generatedAt, endpoint: getEndpointConfig().endpoint, snapshots: {} };
+
+  for (const { id, query, paged } of VISUALIZATION_QUERIES) {
+    console.log(`Running ${id}...`);
+
+    const result = await querySPARQLDataset(query, {
+      paged,
+      onProgress: ({ rows, pages }) => console.log(`  ${rows} rows after ${pages} page(s)`)
+    });
+
+    if (result.source === 'mock' || result.error) {
+      console.warn(`  Skipping ${id}: ${result.error ? result.error.message : 'no live data'}`);
+      continue;
+    }
+
+    const snapshot = {
+      id,
+      generatedAt,
+      queryHash: hashQuery(queryKeyOf(query)),
+      truncated: Boolean(result.truncated),
+      pages: result.pages || 1,
+      bindings: result.data
+    };
+    const contents = JSON.stringify(snapshot);
+    const version = createHash('sha256').update(contents).digest('hex').slice(0, 10);
+    const file = `${id}.${version}.json`;
+
+    await writeFile(path.join(outDir, file), contents);
+    manifest.snapshots[id] = {
+      file,
+      queryHash: snapshot.queryHash,
+      rows: result.data.length,
+      truncated: snapshot.truncated,
+      generatedAt
+    };
+    console.log(`  Wrote ${SNAPSHOT_DIRECTORY}/${file} (${result.data.length} rows)`);
+  }
+
+  await writeFile(path.join(outDir, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2));
+  const written = Object.keys(manifest.snapshots).length;
+  console.log(`Wrote ${written} of ${VISUALIZATION_QUERIES.length} snapshots.`);
+
+  if (written === 0 && !allowEmpty) {
+    console.error('No snapshot could be written; pass --allow-empty to deploy without snapshots.');
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Snapshot build failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import GenderRepresentation from './GenderRepresentation.jsx';
 import ScientificDiscoveries from './ScientificDiscoveries.jsx';
 import About from './About.jsx';
+import CacheManager from './CacheManager.jsx';
 
 const App = () => {
   const [activeView, setActiveView] = React.useState('gender');
@@ -30,12 +31,19 @@ const App = () => {
           >
             About
           </button>
+          <button 
+            className={`px-4 py-2 rounded ${activeView === 'cache' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+            onClick={() => setActiveView('cache')}
+          >
+            Query Cache
+          </button>
         </div>
       </div>
       
       {activeView === 'gender' && <GenderRepresentation />}
       {activeView === 'discoveries' && <ScientificDiscoveries />}
       {activeView === 'about' && <About />}
+      {activeView === 'cache' && <CacheManager />}
     </div>
   );
 };
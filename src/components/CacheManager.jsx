@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getCachedEntry,
+  listCachedEntries,
+  deleteCachedEntry,
+  clearQueryCache,
+  subscribeToQueryCache,
+  isEntryStale,
+  MAX_CACHE_BYTES
+} from '../utils/queryCache';
+import { createFixtureRecord, getQueryId } from '../utils/fixtures';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatAge = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / (1000 * 60));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+};
+
+// Use the leading "# ..." comment of a query as its name
+const describeQuery = (query) => {
+  const comment = query.split('\n').map(line => line.trim()).find(line => line.startsWith('#'));
+  return comment ? comment.replace(/^#\s*/, '') : query.trim().slice(0, 80);
+};
+
+// Download a cached response in the format src/fixtures/recorded/*.json expects
+const downloadFixture = async (key) => {
+  const entry = await getCachedEntry(key);
+  if (!entry) return;
+
+  const record = createFixtureRecord(entry.query, entry.data);
+  const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${record.id.replace(/[^\w-]+/g, '-')}-${record.hash}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const CacheManager = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setEntries(await listCachedEntries());
+      } catch (err) {
+        console.error('Error listing cached queries:', err);
+      }
+      setLoading(false);
+    };
+
+    loadEntries();
+    return subscribeToQueryCache(loadEntries);
+  }, []);
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  return (
+    <div className="p-4 border rounded-lg shadow-lg">
+      <h2 className="text-xl font-bold mb-4">Query Cache</h2>
+
+      <p className="mb-4 text-sm text-gray-600">
+        Results of SPARQL queries are kept in your browser so repeat visits load quickly. Entries older than
+        their time-to-live are shown straight away and refreshed in the background. The least recently used
+        entries are removed once the cache exceeds {formatBytes(MAX_CACHE_BYTES)}.
+      </p>
+
+      <div className="flex items-center justify-between mb-4">
+        <span className="text-sm">
+          {entries.length} {entries.length === 1 ? 'entry' : 'entries'}, {formatBytes(totalSize)} used
+        </span>
+        <button
+          className="px-4 py-2 rounded bg-red-500 text-white disabled:opacity-50"
+          onClick={() => clearQueryCache()}
+          disabled={entries.length === 0}
+        >
+          Clear Cache
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-32">Loading cache entries...</div>
+      ) : entries.length === 0 ? (
+        <div className="text-center p-4">The cache is empty.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">Query</th>
+              <th className="py-2">Rows</th>
+              <th className="py-2">Size</th>
+              <th className="py-2">Fetched</th>
+              <th className="py-2">TTL</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <React.Fragment key={entry.key}>
+                <tr className="border-b">
+                  <td className="py-2">
+                    <button
+                      className="text-blue-600 hover:underline text-left"
+                      onClick={() => setExpandedKey(expandedKey === entry.key ? null : entry.key)}
+                    >
+                      {describeQuery(entry.query)}
+                    </button>
+                  </td>
+                  <td className="py-2">{entry.rows}</td>
+                  <td className="py-2">{formatBytes(entry.size)}</td>
+                  <td className="py-2">
+                    {formatAge(entry.timestamp)}
+                    {isEntryStale(entry) && <span className="ml-1 text-yellow-600">(stale)</span>}
+                  </td>
+                  <td className="py-2">{entry.ttlMinutes} min</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      className="text-blue-600 hover:underline mr-3"
+                      onClick={() => downloadFixture(entry.key)}
+                      title={`Save as a recorded fixture for ${getQueryId(entry.query)}`}
+                    >
+                      Save fixture
+                    </button>
+                    <button
+                      className="text-red-600 hover:underline"
+                      onClick={() => deleteCachedEntry(entry.key)}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+                {expandedKey === entry.key && (
+                  <tr className="border-b">
+                    <td colSpan={6} className="py-2">
+                      <pre className="bg-gray-100 p-2 rounded text-xs overflow-x-auto">{entry.query.trim()}</pre>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CacheManager;
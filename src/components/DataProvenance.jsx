@@ -0,0 +1,55 @@
+import React from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+// "Data as of" line for the top of a view
+export const DataAsOf = ({ result }) => {
+  if (!result || result.source === 'mock') return null;
+  return <p className="text-sm text-gray-600 mb-4">Data as of {formatDate(result.timestamp)}</p>;
+};
+
+// Shows where a view's data came from (snapshot, live query, cache or demo data) with a retry control
+const DataProvenance = ({ result, onRetry, loading }) => {
+  if (!result) return null;
+
+  let description;
+  if (result.source === 'live') {
+    description = `Wikidata SPARQL Query Service, fetched ${formatTime(result.timestamp)}`;
+  } else if (result.source === 'snapshot') {
+    description = `Wikidata snapshot taken at build time, ${formatTime(result.timestamp)}`;
+  } else if (result.source === 'cache') {
+    description = `Wikidata SPARQL Query Service, cached ${formatTime(result.timestamp)}`;
+    if (result.stale && !result.error) {
+      description += ' (refreshing in the background)';
+    }
+  } else {
+    description = result.error ? 'Demo data' : 'Demo data (offline fixtures)';
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <p>Data source: {description}</p>
+        {onRetry && (
+          <button
+            className="px-2 py-1 rounded bg-gray-200 text-xs disabled:opacity-50"
+            onClick={onRetry}
+            disabled={loading}
+          >
+            {result.source === 'mock' ? 'Retry live query' : 'Load live data'}
+          </button>
+        )}
+      </div>
+      {result.truncated && (
+        <p className="mt-1">Only the first {result.data.length} rows were loaded, so the figures may be incomplete.</p>
+      )}
+      {result.error && (
+        <p className="mt-1 text-red-600">Live query failed: {result.error.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default DataProvenance;
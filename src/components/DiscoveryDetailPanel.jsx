@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { loadDiscoveryDetails } from '../utils/discoveryDetails';
+import { isAbortError, isOfflineMode } from '../utils/wikidata';
+
+const entityUrl = (id) => `https://www.wikidata.org/wiki/${id}`;
+
+// Commons serves a scaled thumbnail of a P18 file through Special:FilePath
+const imageUrl = (file, width = 240) => `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(file)}?width=${width}`;
+
+const Value = ({ value }) => {
+  if (value.url) {
+    return <a href={value.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">{value.text}</a>;
+  }
+  if (value.entityId) {
+    return <a href={entityUrl(value.entityId)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{value.text}</a>;
+  }
+  return <span>{value.text}</span>;
+};
+
+// A pinned discovery from the map: the row the map has, plus description, image, Wikipedia
+// articles, discoverers and referenced statements loaded from Wikidata. `discovery` is a map row;
+// give the panel a key per discovery. With `demo` the row comes from fixtures and is not looked up.
+const DiscoveryDetailPanel = ({ discovery, hidden, demo, onClose }) => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(!demo);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (demo || isOfflineMode()) {
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    loadDiscoveryDetails(discovery.discovery, { signal: controller.signal })
+      .then(result => {
+        setDetails(result);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading discovery details:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [discovery.discovery, demo]);
+
+  const otherWikipedias = details ? details.wikipedia.slice(1) : [];
+
+  return (
+    <div className="border rounded p-4 mb-4 bg-gray-50">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="font-semibold">{details ? details.label : discovery.discoveryLabel}</h3>
+          <p className="text-sm text-gray-600">
+            {discovery.year}
+            {discovery.locationLabel ? `, ${discovery.locationLabel}` : ''}
+            {discovery.countryLabel ? `, ${discovery.countryLabel}` : ''}
+          </p>
+          {hidden && <p className="text-sm text-gray-600">Not shown on the map with the current filters.</p>}
+        </div>
+        <button className="text-gray-600 hover:text-black" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      {loading ? (
+        <div className="p-4">Loading details from Wikidata...</div>
+      ) : error ? (
+        <div className="text-red-500 p-4">Error: {error}</div>
+      ) : !details ? (
+        <div className="text-sm p-4">Details are only available for live Wikidata results, not demo data.</div>
+      ) : (
+        <div className="flex flex-wrap gap-4 text-sm">
+          {details.image && (
+            <a href={`https://commons.wikimedia.org/wiki/File:${encodeURIComponent(details.image)}`} target="_blank" rel="noopener noreferrer">
+              <img src={imageUrl(details.image)} alt={details.label} className="w-40 rounded border" />
+            </a>
+          )}
+
+          <div className="flex-1 space-y-2">
+            {details.description && <p>{details.description}</p>}
+
+            <p>
+              <span className="font-medium">Discovered or invented by:</span>{' '}
+              {details.discoverers.length === 0
+                ? 'Unknown'
+                : details.discoverers.map((discoverer, index) => (
+                  <React.Fragment key={discoverer.id}>
+                    {index > 0 && ', '}
+                    <a href={entityUrl(discoverer.id)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                      {discoverer.label}
+                    </a>
+                  </React.Fragment>
+                ))}
+            </p>
+
+            <div>
+              <span className="font-medium">Wikipedia:</span>{' '}
+              {details.wikipedia.length === 0 ? 'No articles' : (
+                <>
+                  <a href={details.wikipedia[0].url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                    {details.wikipedia[0].title} ({details.wikipedia[0].language})
+                  </a>
+                  {otherWikipedias.length > 0 && (
+                    <details className="inline-block ml-2">
+                      <summary className="cursor-pointer text-gray-600">{otherWikipedias.length} more languages</summary>
+                      <ul className="max-h-32 overflow-y-auto">
+                        {otherWikipedias.map(article => (
+                          <li key={article.language}>
+                            <a href={article.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                              {article.language}: {article.title}
+                            </a>
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div>
+              <span className="font-medium">Sources:</span>
+              {details.statements.length === 0 ? ' No date or place statements' : (
+                <ul className="mt-1 space-y-1">
+                  {details.statements.map((statement, index) => (
+                    <li key={index}>
+                      {statement.propertyLabel}: <Value value={statement.value} />
+                      {statement.references.length === 0 ? (
+                        <span className="text-gray-600"> (no references)</span>
+                      ) : (
+                        <ul className="ml-4 text-xs text-gray-700">
+                          {statement.references.map((parts, referenceIndex) => (
+                            <li key={referenceIndex}>
+                              {parts.map((part, partIndex) => (
+                                <React.Fragment key={partIndex}>
+                                  {partIndex > 0 && '; '}
+                                  {part.propertyLabel}: <Value value={part.value} />
+                                </React.Fragment>
+                              ))}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-2 text-sm">
+        <a
+          href={discovery.discoveryUri || entityUrl(discovery.discovery)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-600 hover:underline"
+        >
+          View {discovery.discovery} on Wikidata
+        </a>
+      </div>
+    </div>
+  );
+};
+
+export default DiscoveryDetailPanel;
@@ -0,0 +1,119 @@
+import React, { useState, useMemo } from 'react';
+import { useSparqlQuery } from '../hooks/useSparqlQuery';
+import { buildPeopleQuery } from '../queries/gender';
+
+const PAGE_SIZE = 50;
+
+// Commons file URLs from P18 redirect to the file; ask for a thumbnail instead of the original
+const thumbnailUrl = (image, width = 60) => `${image.replace(/^http:/, 'https:')}?width=${width}`;
+
+const formatBirth = (birth) => {
+  if (!birth || birth.year === null) return 'unknown';
+  return birth.year > 0 ? birth.date.toISOString().slice(0, 10) : `${-birth.year + 1} BCE`;
+};
+
+// The people behind one segment of the gender chart, one page at a time.
+// `segment` is { label, genderIds, fromYear, toYear, timeBasis, count, occupationIds, includeSubclasses, region, regionId };
+// give the panel a key per segment so it starts again at the first page.
+const GenderPeoplePanel = ({ segment, onClose }) => {
+  const [page, setPage] = useState(0);
+
+  // One extra row tells whether there is a next page
+  const query = useMemo(() => buildPeopleQuery({
+    occupationIds: segment.occupationIds,
+    genderIds: segment.genderIds,
+    fromYear: segment.fromYear,
+    toYear: segment.toYear,
+    timeBasis: segment.timeBasis,
+    includeSubclasses: segment.includeSubclasses,
+    region: segment.region,
+    regionId: segment.regionId,
+    limit: PAGE_SIZE + 1,
+    offset: page * PAGE_SIZE
+  }), [segment, page]);
+
+  const { data, loading, error, result } = useSparqlQuery(query);
+  const people = data.slice(0, PAGE_SIZE);
+  const hasNextPage = data.length > PAGE_SIZE;
+
+  return (
+    <div className="border rounded p-4 mt-4 bg-gray-50">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="font-semibold">{segment.label}</h3>
+          {segment.count !== undefined && (
+            <p className="text-sm text-gray-600">{segment.count} people in the chart</p>
+          )}
+        </div>
+        <button className="text-gray-600 hover:text-black" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      {loading ? (
+        <div className="p-4">Loading people...</div>
+      ) : error ? (
+        <div className="text-red-500 p-4">Error: {error}</div>
+      ) : people.length === 0 ? (
+        <div className="p-4">No people found.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-1 w-16"></th>
+              <th className="py-1">Name</th>
+              <th className="py-1">Born</th>
+              <th className="py-1">Wikidata</th>
+            </tr>
+          </thead>
+          <tbody>
+            {people.map(person => (
+              <tr key={person.person} className="border-b">
+                <td className="py-1">
+                  {person.image && (
+                    <img src={thumbnailUrl(person.image)} alt="" loading="lazy" className="w-12 h-12 object-cover rounded" />
+                  )}
+                </td>
+                <td className="py-1">{person.personLabel || person.person}</td>
+                <td className="py-1">{formatBirth(person.birth)}</td>
+                <td className="py-1">
+                  <a
+                    href={person.personUri || `https://www.wikidata.org/wiki/${person.person}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    {person.person}
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex items-center justify-between mt-2 text-sm">
+        <span>
+          {people.length > 0 && `${page * PAGE_SIZE + 1}-${page * PAGE_SIZE + people.length}`}
+          {result && result.source === 'mock' && ' (demo data)'}
+        </span>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0 || loading}
+          >
+            Previous
+          </button>
+          <button
+            className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50"
+            onClick={() => setPage(page + 1)}
+            disabled={!hasNextPage || loading}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenderPeoplePanel;
@@ -0,0 +1,147 @@
+import React, { useMemo } from 'react';
+import * as d3 from 'd3';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { genderIdOf, formatPeriod, FEMALE, MIN_SAMPLE } from '../utils/genders';
+
+const CELL_WIDTH = 32;
+const CELL_HEIGHT = 20;
+const LABEL_WIDTH = 170;
+const HEADER_HEIGHT = 56;
+
+// Female share scale; shares above 50% use the darkest colour
+const shareColor = d3.scaleSequential(d3.interpolatePuRd).domain([0, 0.5]).clamp(true);
+
+const addCount = (tally, key, item) => {
+  if (!tally.has(key)) tally.set(key, { female: 0, total: 0 });
+  const entry = tally.get(key);
+  const count = Number(item.count) || 0;
+  entry.total += count;
+  if (genderIdOf(item) === FEMALE) entry.female += count;
+};
+
+// Top-N regions by number of people: a female share bar chart over the whole period and a
+// region x period heatmap of the female share
+const GenderRegionComparison = ({ data, levelLabel, topN, onTopNChange, bucketSize = 10 }) => {
+  const { regions, periods, cells } = useMemo(() => {
+    const byRegion = new Map();
+    const byCell = new Map();
+    const labels = new Map();
+
+    data.forEach(item => {
+      if (!item.region) return;
+      labels.set(item.region, item.regionLabel || item.region);
+      addCount(byRegion, item.region, item);
+      addCount(byCell, `${item.region}|${item.period}`, item);
+    });
+
+    const top = [...byRegion.entries()]
+      .sort((a, b) => b[1].total - a[1].total)
+      .slice(0, topN)
+      .map(([id, { female, total }]) => ({
+        id,
+        label: labels.get(id),
+        total,
+        femalePercentage: total ? (female / total) * 100 : 0
+      }));
+
+    return {
+      regions: top,
+      periods: [...new Set(data.map(item => item.period))].sort((a, b) => a - b),
+      cells: byCell
+    };
+  }, [data, topN]);
+
+  if (regions.length === 0) {
+    return <div className="text-center p-4">No {levelLabel.toLowerCase()} data for the current selection.</div>;
+  }
+
+  const rankedByShare = [...regions].sort((a, b) => b.femalePercentage - a.femalePercentage);
+  const width = LABEL_WIDTH + periods.length * CELL_WIDTH;
+  const height = HEADER_HEIGHT + regions.length * CELL_HEIGHT;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Female share by {levelLabel.toLowerCase()}</h3>
+        <label className="text-sm">
+          Show top{' '}
+          <select value={topN} onChange={(e) => onTopNChange(Number(e.target.value))} className="border rounded p-1">
+            {[5, 10, 20, 30].map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+          {' '}by number of people
+        </label>
+      </div>
+
+      <ResponsiveContainer width="100%" height={Math.max(160, rankedByShare.length * 26 + 40)}>
+        <BarChart data={rankedByShare} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+          <YAxis type="category" dataKey="label" width={150} tick={{ fontSize: 12 }} />
+          <Tooltip
+            formatter={(value) => `${value.toFixed(1)}%`}
+            labelFormatter={(label) => {
+              const region = regions.find(item => item.label === label);
+              return region ? `${label} (${region.total} people)` : label;
+            }}
+          />
+          <ReferenceLine x={50} stroke="#6b7280" strokeDasharray="3 3" />
+          <Bar dataKey="femalePercentage" name="Female %" fill="#8884d8" />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-4">
+        <svg width={width} height={height} className="text-xs">
+          {periods.map((period, i) => (
+            <text
+              key={period}
+              x={LABEL_WIDTH + i * CELL_WIDTH + CELL_WIDTH / 2}
+              y={HEADER_HEIGHT - 6}
+              textAnchor="start"
+              transform={`rotate(-45 ${LABEL_WIDTH + i * CELL_WIDTH + CELL_WIDTH / 2} ${HEADER_HEIGHT - 6})`}
+            >
+              {formatPeriod(period, bucketSize)}
+            </text>
+          ))}
+          {regions.map((region, row) => (
+            <g key={region.id} transform={`translate(0, ${HEADER_HEIGHT + row * CELL_HEIGHT})`}>
+              <text x={LABEL_WIDTH - 6} y={CELL_HEIGHT / 2} dy="0.35em" textAnchor="end">{region.label}</text>
+              {periods.map((period, i) => {
+                const cell = cells.get(`${region.id}|${period}`);
+                const share = cell && cell.total ? cell.female / cell.total : null;
+                const small = !cell || cell.total < MIN_SAMPLE;
+                return (
+                  <rect
+                    key={period}
+                    x={LABEL_WIDTH + i * CELL_WIDTH}
+                    width={CELL_WIDTH - 1}
+                    height={CELL_HEIGHT - 1}
+                    fill={share === null ? '#f3f4f6' : shareColor(share)}
+                    opacity={small ? 0.35 : 1}
+                  >
+                    <title>
+                      {share === null
+                        ? `${region.label}, ${formatPeriod(period, bucketSize)}: no data`
+                        : `${region.label}, ${formatPeriod(period, bucketSize)}: ${(share * 100).toFixed(1)}% female of ${cell.total}${small ? ' (small sample)' : ''}`}
+                    </title>
+                  </rect>
+                );
+              })}
+            </g>
+          ))}
+        </svg>
+      </div>
+
+      <div className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+        <span>0%</span>
+        <span
+          className="inline-block h-3 w-40"
+          style={{ background: `linear-gradient(to right, ${d3.range(0, 0.51, 0.1).map(share => shareColor(share)).join(', ')})` }}
+        ></span>
+        <span>50%+ female</span>
+        <span className="ml-4">Faded cells have fewer than {MIN_SAMPLE} people.</span>
+      </div>
+    </div>
+  );
+};
+
+export default GenderRegionComparison;
@@ -1,171 +1,332 @@
-import React, { useState, useEffect } from 'react';
-import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
-import { querySPARQLWithCache, processWikidataResults } from '../utils/wikidata';
+import React, { useState, useMemo, useRef } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, ReferenceArea, ReferenceLine } from 'recharts';
+import { useSparqlQuery } from '../hooks/useSparqlQuery';
+import { OCCUPATIONS, REGION_LEVELS, TIME_BASES, BUCKET_SIZES, buildGenderQueries } from '../queries/gender';
+import DataProvenance, { DataAsOf } from './DataProvenance.jsx';
+import OccupationPicker from './OccupationPicker.jsx';
+import GenderSmallMultiples from './GenderSmallMultiples.jsx';
+import GenderRegionComparison from './GenderRegionComparison.jsx';
+import GenderPeoplePanel from './GenderPeoplePanel.jsx';
+import { summarizeGenders, aggregateByPeriod, formatPeriod, AGGREGATION_MODES, OTHER_GENDERS, FEMALE, MIN_SAMPLE } from '../utils/genders';
+import { wilsonInterval, smoothShares, projectParity } from '../utils/trendStats';
+
+// Splitting by region multiplies the rows, so allow more before truncating
+const REGION_MAX_ROWS = 100000;
+
+// How far past the last period the projection line is drawn
+const MAX_PROJECTION_YEARS = 150;
+
+const DEFAULT_START_YEAR = 1800;
+
+// Year text input value to a year; '' means no limit
+const parseYear = (text) => (text.trim() === '' ? null : Number(text));
+
+const formatShare = (value) => {
+  if (Array.isArray(value)) return `${value[0].toFixed(1)}-${value[1].toFixed(1)}%`;
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}%`;
+};
 
 const GenderRepresentation = () => {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [fallbackMode, setFallbackMode] = useState(false);
+  const [occupations, setOccupations] = useState(OCCUPATIONS);
+  const [includeSubclasses, setIncludeSubclasses] = useState(false);
+  const [regionLevel, setRegionLevel] = useState('');
+  const [timeBasis, setTimeBasis] = useState('birth');
+  const [bucketSize, setBucketSize] = useState(10);
+  const [yearRange, setYearRange] = useState({ start: DEFAULT_START_YEAR, end: null });
+  const [yearInputs, setYearInputs] = useState({ start: String(DEFAULT_START_YEAR), end: '' });
+  
+  // Rebuilt whenever the selection changes; the snapshot only matches the default query
+  const queryOptions = useMemo(() => ({
+    includeSubclasses,
+    timeBasis,
+    bucketSize,
+    startYear: yearRange.start,
+    endYear: yearRange.end
+  }), [includeSubclasses, timeBasis, bucketSize, yearRange]);
+  const queries = useMemo(() => buildGenderQueries(occupations, queryOptions), [occupations, queryOptions]);
+  const { result, data, loading, error: queryError, progress, refetch } = useSparqlQuery(queries, {
+    snapshotId: 'gender-representation'
+  });
+  
+  // The region split only counts people with a citizenship, once per citizenship, so it feeds the
+  // region selector and comparison; the main chart uses it only for a single region
+  const regionQueries = useMemo(
+    () => (regionLevel ? buildGenderQueries(occupations, { ...queryOptions, region: regionLevel }) : null),
+    [occupations, queryOptions, regionLevel]
+  );
+  const {
+    result: regionResult,
+    data: regionData,
+    loading: regionLoading,
+    error: regionError,
+    progress: regionProgress,
+    refetch: refetchRegions
+  } = useSparqlQuery(regionQueries, { maxRows: REGION_MAX_ROWS, enabled: Boolean(regionLevel) });
+  const [selectedRegion, setSelectedRegion] = useState('all');
+  const [topRegions, setTopRegions] = useState(10);
   const [selectedField, setSelectedField] = useState('all');
   const [visualizationType, setVisualizationType] = useState('percentage');
-  const [aggregatedData, setAggregatedData] = useState([]);
-  const [fields, setFields] = useState([]);
+  const [otherThreshold, setOtherThreshold] = useState(0);
+  const [aggregationMode, setAggregationMode] = useState('pooled');
+  const [showConfidence, setShowConfidence] = useState(false);
+  const [showTrend, setShowTrend] = useState(false);
+  const [showProjection, setShowProjection] = useState(false);
+  const [drillDown, setDrillDown] = useState(null);
   
-  useEffect(() => {
-    const fetchData = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        const sparqlQuery = `
-          # Gender representation evolution query
-          PREFIX wd: <http://www.wikidata.org/entity/>
-          PREFIX wdt: <http://www.wikidata.org/prop/direct/>
-          PREFIX p: <http://www.wikidata.org/prop/>
-          PREFIX ps: <http://www.wikidata.org/prop/statement/>
-          PREFIX pq: <http://www.wikidata.org/prop/qualifier/>
-
-          SELECT ?field ?fieldLabel ?decade ?gender ?genderLabel (COUNT(DISTINCT ?person) as ?count)
-          WHERE {
-            # Get people in various fields
-            ?person wdt:P106 ?field.
-            
-            # Get their gender
-            ?person wdt:P21 ?gender.
-            
-            # Get birth date
-            ?person wdt:P569 ?birthDate.
-            
-            # Calculate decade of birth
-            BIND(YEAR(?birthDate) - (YEAR(?birthDate) % 10) AS ?decade)
-            
-            # Filter for specific fields of interest
-            VALUES ?field {
-              wd:Q11063   # astronomer
-              wd:Q169470  # physicist
-              wd:Q593644  # chemist
-              wd:Q170790  # mathematician
-              wd:Q37226   # teacher
-              wd:Q5482740 # programmer
-              wd:Q11631   # astronaut
-            }
-            
-            # Filter for 1800 onwards
-            FILTER(?decade >= 1800)
-            
-            # Get labels
-            SERVICE wikibase:label { bd:serviceParam wikibase:language "[AUTO_LANGUAGE],en". }
-          }
-          GROUP BY ?field ?fieldLabel ?decade ?gender ?genderLabel
-          ORDER BY ?field ?decade ?gender
-          LIMIT 1000
-        `;
-        
-        const results = await querySPARQLWithCache(sparqlQuery);
-        const processedData = processWikidataResults(results);
-        
-        if (processedData.length === 0) {
-          throw new Error('No data returned from Wikidata');
-        }
-        
-        setData(processedData);
-        
-        // Extract unique fields
-        const uniqueFields = [...new Set(processedData.map(item => item.fieldLabel))];
-        setFields(uniqueFields);
-        
-        setLoading(false);
-      } catch (err) {
-        console.error('Error fetching gender data:', err);
-        setError(err.message);
-        setFallbackMode(true);
-        setLoading(false);
-      }
-    };
-    
-    fetchData();
-  }, []);
+  // Period under the pointer, for clicks on a series' area or active dot
+  const hoveredPeriodRef = useRef(null);
   
-  // Process data based on selected field and visualization type
-  useEffect(() => {
-    if (data.length === 0) return;
-    
-    // Filter data by selected field if not 'all'
-    const filteredData = selectedField === 'all' 
-      ? data 
-      : data.filter(item => item.fieldLabel === selectedField);
+  const error = queryError || (!loading && result && data.length === 0 ? 'No data returned from Wikidata' : null);
+  
+  // A single region's chart waits for the region split as well
+  const regionSelected = Boolean(regionLevel) && selectedRegion !== 'all';
+  const chartLoading = loading || (regionSelected && regionLoading);
+  const chartError = error || (regionSelected ? regionError : null);
+  const chartProgress = loading ? progress : regionProgress;
+  
+  // Demo data is shown with a banner instead of an error
+  const fallbackMode = Boolean(result && result.source === 'mock');
+  
+  // Extract unique fields
+  const fields = useMemo(() => [...new Set(data.map(item => item.fieldLabel))], [data]);
+  
+  // Regions in the data, for the region selector
+  const regions = useMemo(() => {
+    const labels = new Map();
+    regionData.forEach(item => {
+      if (item.region) labels.set(item.region, item.regionLabel || item.region);
+    });
+    return [...labels.entries()]
+      .map(([id, label]) => ({ id, label }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }, [regionData]);
+  
+  const handleOccupationsChange = (selected) => {
+    setOccupations(selected);
+    setSelectedField('all');
+  };
+  
+  // Year inputs apply on blur or Enter so typing does not start a query per keystroke;
+  // invalid input goes back to the current range
+  const applyYearInputs = () => {
+    const start = parseYear(yearInputs.start);
+    const end = parseYear(yearInputs.end);
+    const valid = Number.isInteger(start) && (end === null || (Number.isInteger(end) && end >= start));
     
-    // Group data by decade and gender
-    const groupedByDecade = {};
+    if (!valid) {
+      setYearInputs({ start: String(yearRange.start), end: yearRange.end === null ? '' : String(yearRange.end) });
+    } else if (start !== yearRange.start || end !== yearRange.end) {
+      setYearRange({ start, end });
+    }
+  };
+  
+  const handleRegionLevelChange = (level) => {
+    setRegionLevel(level);
+    setSelectedRegion('all');
+  };
+  
+  // Small multiples always show every field
+  const smallMultiples = visualizationType === 'multiples';
+  
+  // Filter data by selected field if not 'all'
+  const byField = (rows) => (selectedField === 'all' || smallMultiples
+    ? rows
+    : rows.filter(item => item.fieldLabel === selectedField));
+  const fieldData = useMemo(() => byField(data), [data, selectedField, smallMultiples]);
+  // The region comparison shows every region
+  const regionFieldData = useMemo(() => byField(regionData), [regionData, selectedField, smallMultiples]);
+  
+  // ...and by selected region
+  const filteredData = useMemo(() => (regionSelected
+    ? regionFieldData.filter(item => item.region === selectedRegion)
+    : fieldData), [fieldData, regionFieldData, regionSelected, selectedRegion]);
+  
+  // One chart series per gender in the data, small ones optionally merged into "other"
+  const { series: genderSeries, seriesOf } = useMemo(
+    () => summarizeGenders(filteredData, { otherThreshold }),
+    [filteredData, otherThreshold]
+  );
+  
+  // Combining fields needs a choice of weighting; a single field is the same either way
+  const combined = selectedField === 'all' && fields.length > 1 && !smallMultiples;
+  const aggregatedData = useMemo(
+    () => aggregateByPeriod(filteredData, {
+      series: genderSeries,
+      seriesOf,
+      mode: combined ? aggregationMode : 'pooled'
+    }),
+    [filteredData, genderSeries, seriesOf, combined, aggregationMode]
+  );
+  
+  // Female-share overlays for the percentage chart, computed from the aggregated rows
+  const hasFemale = genderSeries.some(({ id }) => id === FEMALE);
+  const { chartData, projection } = useMemo(() => {
+    const points = aggregatedData.map(row => ({
+      x: row.period,
+      value: (row[`${FEMALE}Percentage`] || 0) / 100,
+      n: row.total
+    }));
+    const smoothed = smoothShares(points);
+    const parity = projectParity(points, { minSample: MIN_SAMPLE });
     
-    filteredData.forEach(item => {
-      const decadeStr = item.decade.toString();
-      if (!groupedByDecade[decadeStr]) {
-        groupedByDecade[decadeStr] = { decade: item.decade };
-      }
-      
-      const genderKey = item.genderLabel === 'male' ? 'maleCount' : 
-                        item.genderLabel === 'female' ? 'femaleCount' : 
-                        `other${item.genderLabel}Count`;
-      
-      // For absolute counts
-      groupedByDecade[decadeStr][genderKey] = parseInt(item.count, 10);
-      
-      // Track total for calculating percentages
-      if (!groupedByDecade[decadeStr].total) {
-        groupedByDecade[decadeStr].total = 0;
-      }
-      groupedByDecade[decadeStr].total += parseInt(item.count, 10);
+    const rows = aggregatedData.map((row, i) => {
+      const interval = wilsonInterval(points[i].value * points[i].n, points[i].n);
+      return {
+        ...row,
+        smallSample: row.total < MIN_SAMPLE,
+        femaleBand: interval ? interval.map(value => value * 100) : null,
+        femaleTrend: smoothed[i] === null ? null : smoothed[i] * 100
+      };
     });
     
-    // Calculate percentages
-    Object.values(groupedByDecade).forEach(item => {
-      if (item.maleCount && item.total) {
-        item.malePercentage = (item.maleCount / item.total) * 100;
+    // Continue the fitted curve from the last period towards the parity year
+    if (showProjection && parity.status === 'projected' && rows.length > 0) {
+      const last = rows[rows.length - 1];
+      const end = Math.min(parity.year, last.period + MAX_PROJECTION_YEARS);
+      last.femaleProjection = parity.predict(last.period) * 100;
+      for (let period = last.period + bucketSize; period - bucketSize < end; period += bucketSize) {
+        rows.push({ period, femaleProjection: parity.predict(period) * 100 });
       }
-      if (item.femaleCount && item.total) {
-        item.femalePercentage = (item.femaleCount / item.total) * 100;
-      }
-      // Handle other genders if present
-      Object.keys(item).forEach(key => {
-        if (key.startsWith('other') && key.endsWith('Count')) {
-          const genderName = key.slice(5, -5);
-          item[`${genderName}Percentage`] = (item[key] / item.total) * 100;
-        }
-      });
-    });
+    }
+    
+    return { chartData: rows, projection: parity };
+  }, [aggregatedData, showProjection, bucketSize]);
+  
+  // Open the people panel for one period of one series, with the current filters
+  const openDrillDown = (period, seriesId) => {
+    const row = aggregatedData.find(item => item.period === period);
+    const series = genderSeries.find(({ id }) => id === seriesId) || genderSeries[0];
+    if (!row || !series) return;
     
-    // Convert to array and sort by decade
-    const result = Object.values(groupedByDecade).sort((a, b) => a.decade - b.decade);
-    setAggregatedData(result);
-  }, [data, selectedField]);
+    const occupationIds = [...new Set(filteredData.map(item => item.field))].filter(id => /^Q\d+$/.test(id));
+    const region = regions.find(({ id }) => id === selectedRegion);
+    // A custom start or end year can cut the first or last bucket short; list only the charted years
+    const fromYear = Math.max(period, yearRange.start);
+    const toYear = yearRange.end === null ? period + bucketSize : Math.min(period + bucketSize, yearRange.end + 1);
+    setDrillDown({
+      label: [
+        `${series.label}, ${TIME_BASES[timeBasis].verb} ${fromYear}-${toYear - 1}`,
+        selectedField !== 'all' ? selectedField : null,
+        region ? region.label : null
+      ].filter(Boolean).join(', '),
+      genderIds: series.genderIds,
+      fromYear,
+      toYear,
+      timeBasis,
+      count: row[`${series.id}Count`],
+      occupationIds,
+      includeSubclasses,
+      region: regionLevel || null,
+      regionId: region ? region.id : null
+    });
+  };
+  
+  const describeProjection = () => {
+    if (projection.status === 'reached') return `Female share reached parity by ${formatPeriod(projection.year, bucketSize)}.`;
+    if (projection.status === 'diverging') return 'No parity projected: the female share is flat or falling in recent periods.';
+    if (projection.status === 'insufficient') return `Not enough periods with ${MIN_SAMPLE}+ people to project a trend.`;
+    const year = Math.round(projection.year);
+    const beyondChart = projection.year > aggregatedData[aggregatedData.length - 1].period + MAX_PROJECTION_YEARS;
+    return `At the recent trend, the female share would reach 50% around ${year}${beyondChart ? ' (beyond the chart)' : ''}.`
+      + ' Based on a logistic fit to the last five periods; treat it as a rough extrapolation.';
+  };
+  
+  const describeAggregation = () => {
+    if (!combined) return null;
+    if (visualizationType === 'absolute') {
+      return `Counts summed across ${fields.length} fields.`;
+    }
+    return aggregationMode === 'averaged'
+      ? `Unweighted mean of the ${fields.length} fields' percentages; each field counts equally regardless of size.`
+      : `Pooled counts across ${fields.length} fields; larger fields weigh more in the percentages.`;
+  };
   
   const renderVisualization = () => {
-    if (loading) {
-      return <div className="flex justify-center items-center h-64">Loading data from Wikidata...</div>;
+    if (chartLoading) {
+      return (
+        <div className="flex justify-center items-center h-64">
+          Loading data from Wikidata...
+          {chartProgress && ` ${chartProgress.rows} rows (occupation ${chartProgress.partition} of ${chartProgress.partitions})`}
+        </div>
+      );
     }
     
-    if (error && !fallbackMode) {
-      return <div className="text-red-500 p-4">Error: {error}</div>;
+    if (chartError) {
+      return <div className="text-red-500 p-4">Error: {chartError}</div>;
     }
     
     if (aggregatedData.length === 0) {
       return <div className="text-center p-4">No data available for the selected field.</div>;
     }
     
+    if (smallMultiples) {
+      return <GenderSmallMultiples data={filteredData} series={genderSeries} seriesOf={seriesOf} bucketSize={bucketSize} />;
+    }
+    
     if (visualizationType === 'percentage') {
       return (
         <ResponsiveContainer width="100%" height={400}>
-          <AreaChart data={aggregatedData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+          <ComposedChart
+            data={chartData}
+            margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+            onMouseMove={(state) => { hoveredPeriodRef.current = state ? state.activeLabel : null; }}
+          >
             <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="decade" />
+            <XAxis dataKey="period" type="number" domain={['dataMin', 'dataMax']} allowDecimals={false} />
             <YAxis tickFormatter={(value) => `${value}%`} domain={[0, 100]} />
-            <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+            <Tooltip
+              formatter={formatShare}
+              labelFormatter={(period) => {
+                const row = chartData.find(item => item.period === period);
+                if (!row || row.total === undefined) return `${formatPeriod(period, bucketSize)} (projected)`;
+                const details = [
+                  combined && `${row.fieldCount} of ${fields.length} fields`,
+                  row.smallSample && `only ${row.total} people`
+                ].filter(Boolean);
+                return details.length > 0 ? `${formatPeriod(period, bucketSize)} (${details.join(', ')})` : formatPeriod(period, bucketSize);
+              }}
+            />
             <Legend />
-            <Area type="monotone" dataKey="femalePercentage" name="Female %" stackId="1" stroke="#8884d8" fill="#8884d8" />
-            <Area type="monotone" dataKey="malePercentage" name="Male %" stackId="1" stroke="#82ca9d" fill="#82ca9d" />
-          </AreaChart>
+            {chartData.filter(row => row.smallSample).map(row => (
+              <ReferenceArea
+                key={`small-${row.period}`}
+                x1={row.period - bucketSize / 2}
+                x2={row.period + bucketSize / 2}
+                ifOverflow="hidden"
+                fill="#9ca3af"
+                fillOpacity={0.5}
+              />
+            ))}
+            {genderSeries.map(({ id, label, color }) => (
+              <Area
+                key={id}
+                type="monotone"
+                dataKey={`${id}Percentage`}
+                name={`${label} %`}
+                stackId="1"
+                stroke={color}
+                fill={color}
+                cursor="pointer"
+                onClick={() => openDrillDown(hoveredPeriodRef.current, id)}
+                activeDot={{
+                  onClick: (dot, event) => {
+                    event.stopPropagation();
+                    openDrillDown(hoveredPeriodRef.current, id);
+                  }
+                }}
+              />
+            ))}
+            {hasFemale && showConfidence && (
+              <Area type="monotone" dataKey="femaleBand" name="Female 95% CI" stroke="none" fill="#1f2937" fillOpacity={0.25} />
+            )}
+            {hasFemale && showTrend && (
+              <Line type="monotone" dataKey="femaleTrend" name="Female trend" stroke="#1f2937" strokeWidth={2} dot={false} connectNulls />
+            )}
+            {hasFemale && showProjection && (
+              <Line type="monotone" dataKey="femaleProjection" name="Female projection" stroke="#1f2937" strokeDasharray="6 4" dot={false} />
+            )}
+            {hasFemale && showProjection && <ReferenceLine y={50} stroke="#6b7280" strokeDasharray="3 3" label="parity" />}
+          </ComposedChart>
         </ResponsiveContainer>
       );
     } else {
@@ -173,12 +334,21 @@ const GenderRepresentation = () => {
         <ResponsiveContainer width="100%" height={400}>
           <BarChart data={aggregatedData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
             <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="decade" />
+            <XAxis dataKey="period" />
             <YAxis />
-            <Tooltip />
+            <Tooltip labelFormatter={(period) => formatPeriod(period, bucketSize)} />
             <Legend />
-            <Bar dataKey="femaleCount" name="Female Count" stackId="a" fill="#8884d8" />
-            <Bar dataKey="maleCount" name="Male Count" stackId="a" fill="#82ca9d" />
+            {genderSeries.map(({ id, label, color }) => (
+              <Bar
+                key={id}
+                dataKey={`${id}Count`}
+                name={`${label} count`}
+                stackId="a"
+                fill={color}
+                cursor="pointer"
+                onClick={(bar) => openDrillDown(bar.payload.period, id)}
+              />
+            ))}
           </BarChart>
         </ResponsiveContainer>
       );
@@ -188,14 +358,111 @@ const GenderRepresentation = () => {
   return (
     <div className="p-4 border rounded-lg shadow-lg">
       <h2 className="text-xl font-bold mb-4">Gender Representation Evolution in Professional Fields</h2>
+      <DataAsOf result={result} />
       
       {fallbackMode ? (
         <div className="border p-4 bg-yellow-100">
-          <p className="font-medium">Using demo data - GitHub Pages has security restrictions that prevent loading data directly from Wikidata.</p>
+          <p className="font-medium">
+            {result.error
+              ? 'Using demo data - the live query to Wikidata failed, so the figures below are not real.'
+              : 'Using demo data - offline mode is on, so the figures below come from fixtures rather than Wikidata.'}
+          </p>
           <p className="mt-2">This visualization demonstrates how gender representation has changed over time in different professional fields.</p>
         </div>
       ) : null}
       
+      <div className="mb-4">
+        <OccupationPicker
+          selected={occupations}
+          onChange={handleOccupationsChange}
+          includeSubclasses={includeSubclasses}
+          onIncludeSubclassesChange={setIncludeSubclasses}
+          suggestions={OCCUPATIONS}
+        />
+      </div>
+      
+      <div className="flex flex-wrap gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Time Basis:</label>
+          <select 
+            value={timeBasis}
+            onChange={(e) => setTimeBasis(e.target.value)}
+            className="border rounded p-1"
+          >
+            {Object.entries(TIME_BASES).map(([basis, { label }]) => (
+              <option key={basis} value={basis}>{label}</option>
+            ))}
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Period Length:</label>
+          <select 
+            value={bucketSize}
+            onChange={(e) => setBucketSize(Number(e.target.value))}
+            className="border rounded p-1"
+          >
+            {BUCKET_SIZES.map(size => (
+              <option key={size} value={size}>{size} years</option>
+            ))}
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Years:</label>
+          <input
+            type="number"
+            value={yearInputs.start}
+            onChange={(e) => setYearInputs({ ...yearInputs, start: e.target.value })}
+            onBlur={applyYearInputs}
+            onKeyDown={(e) => e.key === 'Enter' && applyYearInputs()}
+            className="border rounded p-1 w-24"
+            aria-label="Start year"
+          />
+          {' - '}
+          <input
+            type="number"
+            value={yearInputs.end}
+            onChange={(e) => setYearInputs({ ...yearInputs, end: e.target.value })}
+            onBlur={applyYearInputs}
+            onKeyDown={(e) => e.key === 'Enter' && applyYearInputs()}
+            placeholder="present"
+            className="border rounded p-1 w-24"
+            aria-label="End year"
+          />
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Break Down By:</label>
+          <select 
+            value={regionLevel}
+            onChange={(e) => handleRegionLevelChange(e.target.value)}
+            className="border rounded p-1"
+          >
+            <option value="">Nothing (all people)</option>
+            {Object.entries(REGION_LEVELS).map(([level, { label }]) => (
+              <option key={level} value={level}>{label}</option>
+            ))}
+          </select>
+        </div>
+        
+        {regionLevel && (
+          <div>
+            <label className="block text-sm font-medium mb-1">{REGION_LEVELS[regionLevel].label}:</label>
+            <select 
+              value={selectedRegion}
+              onChange={(e) => setSelectedRegion(e.target.value)}
+              className="border rounded p-1"
+            >
+              <option value="all">All</option>
+              {regions.map(region => (
+                <option key={region.id} value={region.id}>{region.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      
       <div className="flex flex-wrap gap-4 mb-6">
         <div>
           <label className="block text-sm font-medium mb-1">Field:</label>
@@ -203,6 +470,7 @@ const GenderRepresentation = () => {
             value={selectedField}
             onChange={(e) => setSelectedField(e.target.value)}
             className="border rounded p-1"
+            disabled={smallMultiples}
           >
             <option value="all">All Fields Combined</option>
             {fields.map(field => (
@@ -220,20 +488,129 @@ const GenderRepresentation = () => {
           >
             <option value="percentage">Percentage Stacked Area</option>
             <option value="absolute">Absolute Count Stacked Bar</option>
+            <option value="multiples">Small Multiples by Field</option>
+          </select>
+        </div>
+        
+        {combined && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Combine Fields By:</label>
+            <select 
+              value={aggregationMode}
+              onChange={(e) => setAggregationMode(e.target.value)}
+              className="border rounded p-1"
+            >
+              {Object.entries(AGGREGATION_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        
+        {visualizationType === 'percentage' && hasFemale && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Female Share Overlays:</label>
+            <div className="flex gap-3 text-sm pt-1">
+              <label>
+                <input type="checkbox" checked={showConfidence} onChange={(e) => setShowConfidence(e.target.checked)} className="mr-1" />
+                95% confidence band
+              </label>
+              <label>
+                <input type="checkbox" checked={showTrend} onChange={(e) => setShowTrend(e.target.checked)} className="mr-1" />
+                Smoothed trend
+              </label>
+              <label>
+                <input type="checkbox" checked={showProjection} onChange={(e) => setShowProjection(e.target.checked)} className="mr-1" />
+                Parity projection
+              </label>
+            </div>
+          </div>
+        )}
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Small Gender Categories:</label>
+          <select 
+            value={otherThreshold}
+            onChange={(e) => setOtherThreshold(Number(e.target.value))}
+            className="border rounded p-1"
+          >
+            <option value={0}>Show each separately</option>
+            <option value={0.01}>Group under 1% as "other"</option>
+            <option value={0.05}>Group under 5% as "other"</option>
           </select>
         </div>
       </div>
       
       <div className="border rounded p-4">
+        {!chartLoading && !chartError && describeAggregation() && (
+          <p className="mb-2 text-sm font-medium text-gray-700">{describeAggregation()}</p>
+        )}
         {renderVisualization()}
+        {!chartLoading && !chartError && visualizationType === 'percentage' && chartData.some(row => row.smallSample) && (
+          <p className="mt-2 text-sm text-gray-600">Greyed-out periods have fewer than {MIN_SAMPLE} people; their shares are unreliable.</p>
+        )}
+        {!chartLoading && !chartError && visualizationType === 'percentage' && hasFemale && showProjection && (
+          <p className="mt-2 text-sm text-gray-600">{describeProjection()}</p>
+        )}
+        {!chartLoading && !chartError && visualizationType === 'percentage' && showConfidence && combined && aggregationMode === 'averaged' && (
+          <p className="mt-2 text-sm text-gray-600">Confidence bands use the pooled number of people per period, so they are approximate for averaged percentages.</p>
+        )}
+        {!chartLoading && genderSeries.filter(({ id }) => id === OTHER_GENDERS).map(({ members }) => (
+          <p key="other" className="mt-2 text-sm text-gray-600">"other" groups: {members.join(', ')}</p>
+        ))}
       </div>
       
+      {!chartLoading && !chartError && !smallMultiples && (
+        <p className="mt-2 text-sm text-gray-600">
+          Click a point or bar to list the people behind it.
+        </p>
+      )}
+      
+      {drillDown && (
+        <GenderPeoplePanel
+          key={JSON.stringify(drillDown)}
+          segment={drillDown}
+          onClose={() => setDrillDown(null)}
+        />
+      )}
+      
+      {regionLevel && (
+        <div className="border rounded p-4 mt-4">
+          {regionLoading ? (
+            <div className="p-4">
+              Loading data by {REGION_LEVELS[regionLevel].label.toLowerCase()} from Wikidata...
+              {regionProgress && ` ${regionProgress.rows} rows (occupation ${regionProgress.partition} of ${regionProgress.partitions})`}
+            </div>
+          ) : regionError ? (
+            <div className="text-red-500 p-4">Error: {regionError}</div>
+          ) : (
+            <GenderRegionComparison
+              data={regionFieldData}
+              levelLabel={REGION_LEVELS[regionLevel].label}
+              topN={topRegions}
+              onTopNChange={setTopRegions}
+              bucketSize={bucketSize}
+            />
+          )}
+          <p className="mt-2 text-sm text-gray-600">
+            Only people with a citizenship are split by region, and people with more than one are counted once for each,
+            so region totals differ from the overall count. With "All" selected the main chart shows the overall count.
+          </p>
+          <div className="mt-2 text-sm text-gray-600">
+            <DataProvenance result={regionResult} loading={regionLoading} onRetry={refetchRegions} />
+          </div>
+        </div>
+      )}
+      
       <div className="mt-4 text-sm text-gray-600">
-        <p>Data source: {fallbackMode ? "Demo data" : "Wikidata SPARQL Query Service"}</p>
+        <DataProvenance result={result} loading={loading} onRetry={refetch} />
         <p className="mt-2">
           <strong>Analysis:</strong> This visualization reveals how gender representation has evolved in different 
-          professional fields over time. The data is based on entries in Wikidata for people in these professions
-          born in each decade.
+          professional fields over time. The data is based on entries in Wikidata for people in these professions,
+          grouped by when they were born, started work or turned 30. Birth year is a rough proxy for when someone
+          was active; the start of the work period (P2031) is closer but recorded for far fewer people. Add any
+          occupation from Wikidata above; with subclasses included, a physicist count also covers astrophysicists,
+          nuclear physicists and so on.
         </p>
       </div>
     </div>
@@ -0,0 +1,99 @@
+import React, { useState, useMemo } from 'react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { aggregateByPeriod, femaleShareTrend, formatPeriod } from '../utils/genders';
+
+const SORT_OPTIONS = {
+  label: 'Name',
+  latest: 'Current female share',
+  change: 'Rate of change'
+};
+
+const formatChange = (change) => (change === null ? 'n/a' : `${change >= 0 ? '+' : ''}${change.toFixed(1)} pts/decade`);
+
+// One compact percentage chart per occupation. All panels share the period and 0-100% axes,
+// and hovering one shows the same period's tooltip in every panel.
+const GenderSmallMultiples = ({ data, series, seriesOf, bucketSize = 10 }) => {
+  const [sortBy, setSortBy] = useState('latest');
+
+  const panels = useMemo(() => {
+    const byField = new Map();
+    data.forEach(item => {
+      const key = item.field || item.fieldLabel;
+      if (!byField.has(key)) {
+        byField.set(key, { id: key, label: item.fieldLabel || key, rows: [] });
+      }
+      byField.get(key).rows.push(item);
+    });
+
+    return [...byField.values()].map(field => {
+      const rows = aggregateByPeriod(field.rows, { series, seriesOf });
+      return { ...field, rows, trend: femaleShareTrend(rows) };
+    });
+  }, [data, series, seriesOf]);
+
+  const sortedPanels = useMemo(() => {
+    const byNumber = (value) => (value === null ? -Infinity : value);
+    return [...panels].sort((a, b) => {
+      if (sortBy === 'latest') return byNumber(b.trend.latestShare) - byNumber(a.trend.latestShare);
+      if (sortBy === 'change') return byNumber(b.trend.changePerDecade) - byNumber(a.trend.changePerDecade);
+      return a.label.localeCompare(b.label);
+    });
+  }, [panels, sortBy]);
+
+  // Shared x domain so the same period lines up across panels
+  const periods = data.map(item => item.period);
+  const domain = periods.length > 0 ? [Math.min(...periods), Math.max(...periods)] : [0, 0];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="flex flex-wrap gap-3 text-sm">
+          {series.map(({ id, label, color }) => (
+            <span key={id} className="inline-flex items-center">
+              <span className="inline-block w-3 h-3 mr-1" style={{ backgroundColor: color }}></span>
+              {label}
+            </span>
+          ))}
+        </div>
+        <label className="text-sm">
+          Sort by:{' '}
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="border rounded p-1">
+            {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {sortedPanels.map(panel => (
+          <div key={panel.id} className="border rounded p-2">
+            <div className="text-sm font-medium">{panel.label}</div>
+            <div className="text-xs text-gray-600 mb-1">
+              {panel.trend.latestShare === null
+                ? 'No data'
+                : `Female ${panel.trend.latestShare.toFixed(1)}% (${formatPeriod(panel.trend.latestPeriod, bucketSize)}), ${formatChange(panel.trend.changePerDecade)}`}
+            </div>
+            <ResponsiveContainer width="100%" height={160}>
+              <AreaChart data={panel.rows} syncId="gender-small-multiples" syncMethod="value" margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="period" type="number" domain={domain} tick={{ fontSize: 10 }} />
+                <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 10 }} />
+                <Tooltip
+                  formatter={(value) => `${value.toFixed(1)}%`}
+                  labelFormatter={(period) => `${panel.label}, ${formatPeriod(period, bucketSize)}`}
+                  wrapperStyle={{ fontSize: 12 }}
+                />
+                {series.map(({ id, label, color }) => (
+                  <Area key={id} type="monotone" dataKey={`${id}Percentage`} name={`${label} %`} stackId="1" stroke={color} fill={color} isAnimationActive={false} />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GenderSmallMultiples;
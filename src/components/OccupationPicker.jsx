@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { searchEntities } from '../utils/wikibaseApi';
+import { isAbortError } from '../utils/wikidata';
+
+const SEARCH_DELAY_MS = 300;
+
+// Chosen occupations as removable chips plus a Wikidata entity search to add more.
+// `suggestions` are matched locally when the search API cannot be reached (e.g. offline).
+const OccupationPicker = ({ selected, onChange, includeSubclasses, onIncludeSubclassesChange, suggestions = [] }) => {
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  // Debounced search; a newer term aborts the previous request
+  useEffect(() => {
+    if (!term.trim()) {
+      setResults([]);
+      setSearchError(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        setResults(await searchEntities(term, { signal: controller.signal }));
+        setSearchError(null);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error searching Wikidata:', err);
+        const lowerTerm = term.trim().toLowerCase();
+        setResults(suggestions.filter(s => s.label.toLowerCase().includes(lowerTerm)));
+        setSearchError('Wikidata search is unavailable; showing built-in occupations only.');
+      }
+      setSearching(false);
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [term, suggestions]);
+
+  const addOccupation = (occupation) => {
+    if (!selected.some(s => s.id === occupation.id)) {
+      onChange([...selected, { id: occupation.id, label: occupation.label }]);
+    }
+    setTerm('');
+  };
+
+  const removeOccupation = (id) => {
+    onChange(selected.filter(s => s.id !== id));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">Occupations:</label>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {selected.map(occupation => (
+          <span key={occupation.id} className="inline-flex items-center bg-blue-100 rounded px-2 py-1 text-sm">
+            <a
+              href={`https://www.wikidata.org/wiki/${occupation.id}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="hover:underline"
+              title={occupation.id}
+            >
+              {occupation.label}
+            </a>
+            <button
+              className="ml-1 text-gray-600 hover:text-red-600"
+              onClick={() => removeOccupation(occupation.id)}
+              disabled={selected.length === 1}
+              aria-label={`Remove ${occupation.label}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <div className="relative inline-block">
+        <input
+          type="search"
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          placeholder="Add an occupation..."
+          className="border rounded p-1 w-64"
+        />
+        {term.trim() && (
+          <ul className="absolute z-10 bg-white border rounded shadow w-96 max-h-64 overflow-y-auto text-sm">
+            {searching && <li className="p-2 text-gray-500">Searching...</li>}
+            {!searching && results.length === 0 && <li className="p-2 text-gray-500">No matches</li>}
+            {!searching && results.map(item => (
+              <li key={item.id}>
+                <button
+                  className="w-full text-left p-2 hover:bg-blue-50"
+                  onClick={() => addOccupation(item)}
+                >
+                  <span className="font-medium">{item.label}</span>
+                  <span className="text-gray-500"> ({item.id})</span>
+                  {item.description && <span className="block text-gray-600">{item.description}</span>}
+                </button>
+              </li>
+            ))}
+            {searchError && <li className="p-2 text-yellow-700">{searchError}</li>}
+          </ul>
+        )}
+      </div>
+
+      <label className="ml-4 text-sm">
+        <input
+          type="checkbox"
+          checked={includeSubclasses}
+          onChange={(e) => onIncludeSubclassesChange(e.target.checked)}
+          className="mr-1"
+        />
+        Include subclasses (P279)
+      </label>
+    </div>
+  );
+};
+
+export default OccupationPicker;
@@ -1,145 +1,253 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as d3 from 'd3';
-import * as topojson from 'topojson-client';
-import { querySPARQLWithCache, processWikidataResults } from '../utils/wikidata';
+import { useSparqlQuery } from '../hooks/useSparqlQuery';
+import { DISCOVERIES_QUERY } from '../queries/discoveries';
+import { COUNTRY_POPULATION_QUERY } from '../queries/countries';
+import { DISCIPLINES, buildFieldTaxonomyQuery } from '../queries/fields';
+import DataProvenance, { DataAsOf } from './DataProvenance.jsx';
+import DiscoveryDetailPanel from './DiscoveryDetailPanel.jsx';
+import { loadBasemap, createProjection, isVisible, PROJECTIONS } from '../utils/basemap';
+import { clusterPoints, clusterSpread, spiderfyOffsets } from '../utils/clusters';
+import { resolveFieldCategories, categoryColors, categoryLabel, OTHER_CATEGORY } from '../utils/fieldTaxonomy';
 
-const ScientificDiscoveries = () => {
+// Points closer than this many pixels are drawn as one cluster
+const CLUSTER_RADIUS = 20;
+const MAX_ZOOM = 16;
+const FADE_DURATION = 400;
+
+// Playback moves the end of the time range forward every tick
+const MIN_YEAR = 1800;
+const CURRENT_YEAR = new Date().getFullYear();
+const PLAYBACK_TICK = 250;
+const PLAYBACK_SPEEDS = [4, 8, 20, 40];
+const WINDOW_SIZES = [10, 20, 50];
+
+const CHOROPLETH_MEASURES = {
+  count: 'Number of discoveries',
+  perCapita: 'Discoveries per million people',
+  leadingField: 'Leading field'
+};
+const NO_DATA_FILL = "#e2e2e2";
+
+const formatRate = d3.format(".3~r");
+
+// The world atlas uses zero-padded ISO 3166-1 numeric codes as feature ids
+const isoId = (code) => String(code).padStart(3, '0');
+
+// `disciplines` are the top-level categories fields are grouped into, as { id, label } in legend order
+const ScientificDiscoveries = ({ disciplines = DISCIPLINES }) => {
   const mapRef = useRef(null);
   const timelineRef = useRef(null);
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [fallbackMode, setFallbackMode] = useState(false);
-  const [timeRange, setTimeRange] = useState([1800, 2023]);
+  // Current zoom, kept across redraws, and a way to reset it from outside the map effect
+  const zoomRef = useRef(null);
+  const resetZoomRef = useRef(null);
+  // The map drawn by the map effect, for updating its points without a full redraw
+  const sceneRef = useRef(null);
+  // The same for the timeline, to move its brush and highlight a decade
+  const timelineSceneRef = useRef(null);
+  // Paged with LIMIT/OFFSET so the dataset is not cut off at the endpoint's row limit
+  const { result, data: rows, loading, error: queryError, progress, refetch } = useSparqlQuery(DISCOVERIES_QUERY, {
+    paged: true,
+    snapshotId: 'scientific-discoveries'
+  });
+  const [timeRange, setTimeRange] = useState([MIN_YEAR, CURRENT_YEAR]);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(8);
+  // 'cumulative' shows everything up to the year, 'windowed' only the last `windowSize` years
+  const [playbackMode, setPlaybackMode] = useState('cumulative');
+  const [windowSize, setWindowSize] = useState(20);
   const [selectedField, setSelectedField] = useState('all');
-  const [fields, setFields] = useState([]);
   const [selectedDecade, setSelectedDecade] = useState(null);
   const [selectedPoint, setSelectedPoint] = useState(null);
+  // Clicked discovery, kept through filter changes until the panel is closed
+  const [pinnedPoint, setPinnedPoint] = useState(null);
+  const [projectionName, setProjectionName] = useState('naturalEarth');
+  const [showGraticule, setShowGraticule] = useState(false);
+  const [highResolution, setHighResolution] = useState(false);
+  const [basemap, setBasemap] = useState(null);
+  const [basemapError, setBasemapError] = useState(null);
+  // 'points' plots each discovery, 'choropleth' shades countries by `choroplethMeasure`
+  const [mapMode, setMapMode] = useState('points');
+  const [choroplethMeasure, setChoroplethMeasure] = useState('count');
+  const [hoveredCountry, setHoveredCountry] = useState(null);
+  
+  // Populations are only needed for per-capita shading
+  const { data: populationRows, loading: populationLoading } = useSparqlQuery(COUNTRY_POPULATION_QUERY, {
+    snapshotId: 'country-populations',
+    enabled: mapMode === 'choropleth' && choroplethMeasure === 'perCapita'
+  });
   
   // Define color scale for scientific fields
-  const fieldColorScale = d3.scaleOrdinal()
-    .domain(["physics", "chemistry", "biology", "medicine", "computer science"])
-    .range(["#e41a1c", "#377eb8", "#4daf4a", "#984ea3", "#ff7f00"]);
+  const fieldColorScale = useMemo(() => {
+    const colors = categoryColors(disciplines);
+    return d3.scaleOrdinal().domain([...colors.keys()]).range([...colors.values()]);
+  }, [disciplines]);
+  const labelOf = (category) => categoryLabel(category, disciplines);
+  
+  // Demo data is shown with a banner instead of an error
+  const fallbackMode = Boolean(result && result.source === 'mock');
+  
+  // Walk each field in the data up the subclass/part-of hierarchy to its discipline.
+  // Entity URIs are decoded to their QID by processWikidataResults.
+  const fieldIds = useMemo(() => [...new Set(rows.map(item => item.field).filter(Boolean))].sort(), [rows]);
+  const taxonomyQuery = useMemo(
+    () => (fieldIds.length > 0 ? buildFieldTaxonomyQuery(fieldIds, { disciplines }) : null),
+    [fieldIds, disciplines]
+  );
+  const { data: taxonomyLinks, loading: taxonomyLoading } = useSparqlQuery(taxonomyQuery, { enabled: Boolean(taxonomyQuery) });
+  const fieldCategories = useMemo(
+    () => resolveFieldCategories(fieldIds, taxonomyLinks, disciplines),
+    [fieldIds, taxonomyLinks, disciplines]
+  );
+  
+  // Filter out entries without location data and categorize fields
+  const data = useMemo(() => rows
+    .filter(item => item.lat && item.lon)
+    .map((item, index) => ({
+      ...item,
+      // Rows repeat a discovery once per field, location or discoverer, so points are keyed by row
+      key: index,
+      fieldCategory: (item.field && fieldCategories.get(item.field)) || OTHER_CATEGORY
+    })), [rows, fieldCategories]);
   
+  // Categories present in the data, in legend order with "other" last
+  const fields = useMemo(() => {
+    const present = new Set(data.map(item => item.fieldCategory));
+    return [...disciplines.map(({ id }) => id), OTHER_CATEGORY].filter(category => present.has(category));
+  }, [data, disciplines]);
+  
+  const error = queryError || (!loading && result && data.length === 0 ? 'No data with location information found' : null);
+  
+  // Load the bundled basemap once per resolution
   useEffect(() => {
-    const fetchData = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        const sparqlQuery = `
-          # Scientific discoveries geographic distribution query
-          PREFIX wd: <http://www.wikidata.org/entity/>
-          PREFIX wdt: <http://www.wikidata.org/prop/direct/>
-          PREFIX p: <http://www.wikidata.org/prop/>
-          PREFIX ps: <http://www.wikidata.org/prop/statement/>
-          PREFIX pq: <http://www.wikidata.org/prop/qualifier/>
-
-          SELECT ?discovery ?discoveryLabel ?year ?field ?fieldLabel ?locationLabel ?countryLabel ?lat ?lon ?discovererLabel
-          WHERE {
-            # Entities that are discoveries/inventions
-            VALUES ?discoveryClass {
-              wd:Q1953465   # invention
-              wd:Q611790    # scientific artifact
-              wd:Q5633421   # scientific discovery
-            }
-            
-            ?discovery wdt:P31/wdt:P279* ?discoveryClass.
-            
-            # Discovery date/year
-            ?discovery wdt:P575 ?date.
-            BIND(YEAR(?date) AS ?year)
-            
-            # Filter for discoveries after 1800
-            FILTER(?year >= 1800)
-            
-            # Get the field of the discovery
-            OPTIONAL { ?discovery wdt:P101 ?field. }
-            
-            # Get discovery location if available
-            OPTIONAL { 
-              ?discovery wdt:P740|wdt:P495|wdt:P291 ?location. 
-              
-              # Get coordinates of the location
-              OPTIONAL { ?location wdt:P625 ?coords. }
-              
-              # Extract latitude and longitude
-              BIND(CONCAT(STR(geof:latitude(?coords)), ",", STR(geof:longitude(?coords))) AS ?latlng)
-              BIND(geof:latitude(?coords) AS ?lat)
-              BIND(geof:longitude(?coords) AS ?lon)
-              
-              # Get country
-              OPTIONAL { ?location wdt:P17 ?country. }
-            }
-            
-            # Get discoverer/inventor
-            OPTIONAL { ?discovery wdt:P61|wdt:P1554 ?discoverer. }
-            
-            # Get labels
-            SERVICE wikibase:label { bd:serviceParam wikibase:language "[AUTO_LANGUAGE],en". }
-          }
-          ORDER BY ?year
-          LIMIT 1000
-        `;
-        
-        const results = await querySPARQLWithCache(sparqlQuery);
-        const processedData = processWikidataResults(results);
-        
-        // Filter out entries without location data
-        const filteredData = processedData.filter(item => item.lat && item.lon);
-        
-        if (filteredData.length === 0) {
-          throw new Error('No data with location information found');
-        }
-        
-        setData(filteredData);
-        
-        // Extract and categorize fields
-        const fieldMapping = {
-          'Q413': 'physics',
-          'Q2329': 'chemistry',
-          'Q420': 'biology',
-          'Q11190': 'medicine',
-          'Q21198': 'computer science'
-        };
-        
-        // Process field information
-        filteredData.forEach(item => {
-          if (item.field) {
-            const fieldId = item.field.split('/').pop();
-            item.fieldCategory = fieldMapping[fieldId] || 'other';
-          } else {
-            item.fieldCategory = 'other';
-          }
-        });
-        
-        // Get unique field categories
-        const uniqueFields = [...new Set(filteredData.map(item => item.fieldCategory))];
-        setFields(uniqueFields.filter(f => f !== 'other'));
-        
-        setLoading(false);
-      } catch (err) {
-        console.error('Error fetching discovery data:', err);
-        setError(err.message);
-        setFallbackMode(true);
-        setLoading(false);
-      }
+    let cancelled = false;
+    setBasemapError(null);
+    loadBasemap(highResolution ? 'high' : 'low')
+      .then(result => {
+        if (!cancelled) setBasemap(result);
+      })
+      .catch(error => {
+        console.error("Error loading world map:", error);
+        if (!cancelled) setBasemapError(error.message);
+      });
+    return () => {
+      cancelled = true;
     };
+  }, [highResolution]);
+  
+  const rangeEndingAt = (end, mode = playbackMode, size = windowSize) => (
+    mode === 'cumulative' ? [MIN_YEAR, end] : [Math.max(MIN_YEAR, end - size + 1), end]
+  );
+  
+  const togglePlayback = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Start over when the range already reaches the present
+    const start = playbackMode === 'cumulative' ? MIN_YEAR : MIN_YEAR + windowSize - 1;
+    setTimeRange(rangeEndingAt(timeRange[1] >= CURRENT_YEAR ? start : timeRange[1]));
+    setPlaying(true);
+  };
+  
+  useEffect(() => {
+    if (!playing) return;
     
-    fetchData();
-  }, []);
+    const step = Math.max(1, Math.round((playbackSpeed * PLAYBACK_TICK) / 1000));
+    const timer = setInterval(() => {
+      setTimeRange(([, end]) => rangeEndingAt(Math.min(CURRENT_YEAR, end + step)));
+    }, PLAYBACK_TICK);
+    return () => clearInterval(timer);
+  }, [playing, playbackSpeed, playbackMode, windowSize]);
   
-  // Create map visualization
   useEffect(() => {
-    if (!data.length || !mapRef.current) return;
+    if (playing && timeRange[1] >= CURRENT_YEAR) setPlaying(false);
+  }, [playing, timeRange]);
+  
+  // Discoveries shown on the map for the current time range and field
+  const mapData = useMemo(() => data.filter(item => {
+    const inTimeRange = item.year >= timeRange[0] && item.year <= timeRange[1];
+    const matchesField = selectedField === 'all' || item.fieldCategory === selectedField;
+    return inTimeRange && matchesField;
+  }), [data, timeRange, selectedField]);
+  
+  // Discoveries per atlas country, plus those whose country has no ISO code
+  const countryStats = useMemo(() => {
+    const byCountry = new Map();
+    let unmatched = 0;
     
-    // Filter data based on selected time range and field
-    const filteredData = data.filter(item => {
-      const inTimeRange = item.year >= timeRange[0] && item.year <= timeRange[1];
-      const matchesField = selectedField === 'all' || item.fieldCategory === selectedField;
-      return inTimeRange && matchesField;
+    mapData.forEach(item => {
+      if (!item.countryIso) {
+        unmatched++;
+        return;
+      }
+      const id = isoId(item.countryIso);
+      if (!byCountry.has(id)) {
+        byCountry.set(id, { id, label: item.countryLabel, count: 0, fields: new Map() });
+      }
+      const stats = byCountry.get(id);
+      stats.count++;
+      stats.fields.set(item.fieldCategory, (stats.fields.get(item.fieldCategory) || 0) + 1);
     });
     
+    return { byCountry, unmatched };
+  }, [mapData]);
+  
+  // Fill and hover text per country id for the chosen measure, and the legend that goes with it
+  const choropleth = useMemo(() => {
+    const populations = new Map(populationRows.map(row => [isoId(row.iso), Number(row.maxPopulation)]));
+    const countries = new Map();
+    
+    [...countryStats.byCountry.values()].forEach(stats => {
+      const population = populations.get(stats.id);
+      const [leadingField] = d3.greatest([...stats.fields], ([, n]) => n);
+      countries.set(stats.id, {
+        ...stats,
+        population,
+        perMillion: population ? (stats.count / population) * 1e6 : null,
+        leadingField
+      });
+    });
+    
+    if (choroplethMeasure === 'leadingField') {
+      countries.forEach(country => {
+        country.fill = fieldColorScale(country.leadingField);
+      });
+      return { countries, scale: null };
+    }
+    
+    const valueOf = country => (choroplethMeasure === 'perCapita' ? country.perMillion : country.count);
+    const max = d3.max([...countries.values()], valueOf) || 1;
+    const scale = d3.scaleSequentialSqrt(d3.interpolateBlues).domain([0, max]);
+    countries.forEach(country => {
+      const value = valueOf(country);
+      country.fill = value === null ? NO_DATA_FILL : scale(value);
+    });
+    return { countries, scale };
+  }, [countryStats, populationRows, choroplethMeasure, fieldColorScale]);
+  
+  // What the map shows on top of the basemap
+  const overlay = useMemo(() => ({
+    mode: mapMode,
+    points: mapData,
+    countries: choropleth.countries,
+    pinned: pinnedPoint ? pinnedPoint.discovery : null
+  }), [mapMode, mapData, choropleth, pinnedPoint]);
+  const overlayRef = useRef(overlay);
+  
+  // Update the existing map when the time range, field or map mode changes. This comes before the
+  // map effect so that a newly built map starts from the current overlay.
+  useEffect(() => {
+    overlayRef.current = overlay;
+    if (sceneRef.current) sceneRef.current.update(overlay);
+  }, [overlay]);
+  
+  // Create map visualization: the basemap, projection and zoom. Points are only updated, with
+  // transitions, when the time range or field changes.
+  useEffect(() => {
+    sceneRef.current = null;
+    if (!data.length || !mapRef.current) return;
+    
     // Clear previous visualization
     d3.select(mapRef.current).selectAll("*").remove();
     
@@ -151,180 +259,426 @@ const ScientificDiscoveries = () => {
       .attr("height", height)
       .attr("viewBox", [0, 0, width, height]);
       
-    // Create map projection
-    const projection = d3.geoNaturalEarth1()
-      .scale(width / 6)
-      .translate([width / 2, height / 2]);
-      
+    const projection = createProjection(projectionName, width, height);
     const path = d3.geoPath().projection(projection);
     
-    // Load world map data
-    fetch('https://unpkg.com/world-atlas@2.0.2/countries-110m.json')
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`Failed to load world map: ${response.status}`);
-        }
-        return response.json();
-      })
-      .then(worldData => {
-        try {
-          const countries = topojson.feature(worldData, worldData.objects.countries);
-          
-          // Draw world map
-          svg.append("g")
-            .selectAll("path")
-            .data(countries.features)
-            .join("path")
-            .attr("fill", "#e2e2e2")
-            .attr("stroke", "#fff")
-            .attr("d", path);
-          
-          // Draw points for discoveries
-          const points = svg.selectAll("circle")
-            .data(filteredData)
-            .join("circle")
-              .attr("cx", d => projection([d.lon, d.lat])[0])
-              .attr("cy", d => projection([d.lon, d.lat])[1])
-              .attr("r", 5)
-              .attr("fill", d => fieldColorScale(d.fieldCategory))
-              .attr("stroke", "#fff")
-              .attr("stroke-width", 1)
-              .attr("opacity", 0.7)
-              .attr("class", "discovery-point")
-              .on("mouseover", (event, d) => {
-                setSelectedPoint(d);
-                
-                d3.select(event.currentTarget)
-                  .attr("r", 8)
-                  .attr("opacity", 1);
-              })
-              .on("mouseout", (event) => {
-                setSelectedPoint(null);
-                
-                d3.select(event.currentTarget)
-                  .attr("r", 5)
-                  .attr("opacity", 0.7);
-              });
-        } catch (error) {
-          console.error("Error rendering map:", error);
-          // Fallback to a simple rectangle background
-          svg.append("rect")
-            .attr("width", width)
-            .attr("height", height)
-            .attr("fill", "#e2e2e2");
-            
-          // Still attempt to draw the discovery points
-          svg.selectAll("circle")
-            .data(filteredData)
-            .join("circle")
-              .attr("cx", d => projection([d.lon, d.lat])[0])
-              .attr("cy", d => projection([d.lon, d.lat])[1])
-              .attr("r", 5)
-              .attr("fill", d => fieldColorScale(d.fieldCategory))
-              .attr("stroke", "#fff")
-              .attr("stroke-width", 1)
-              .attr("opacity", 0.7)
-              .attr("class", "discovery-point")
-              .on("mouseover", (event, d) => {
-                setSelectedPoint(d);
-                d3.select(event.currentTarget).attr("r", 8).attr("opacity", 1);
-              })
-              .on("mouseout", (event) => {
-                setSelectedPoint(null);
-                d3.select(event.currentTarget).attr("r", 5).attr("opacity", 0.7);
-              });
-        }
-      })
-      .catch(error => {
-        console.error("Error loading world map:", error);
-        // Fallback to a simple rectangle background
-        svg.append("rect")
-          .attr("width", width)
-          .attr("height", height)
-          .attr("fill", "#e2e2e2");
-          
-        // Show a text message
+    // The basemap is scaled by the zoom transform; strokes keep their width
+    const mapLayer = svg.append("g");
+    let countryPaths = null;
+    
+    if (basemap) {
+      // Ocean and outline of the projected sphere
+      mapLayer.append("path")
+        .datum({ type: "Sphere" })
+        .attr("fill", PROJECTIONS[projectionName].globe ? "#f0f6fb" : "none")
+        .attr("stroke", "#ccc")
+        .attr("vector-effect", "non-scaling-stroke")
+        .attr("d", path);
+      
+      if (showGraticule) {
+        mapLayer.append("path")
+          .datum(d3.geoGraticule10())
+          .attr("fill", "none")
+          .attr("stroke", "#ddd")
+          .attr("stroke-width", 0.5)
+          .attr("vector-effect", "non-scaling-stroke")
+          .attr("d", path);
+      }
+      
+      // Draw world map; countries are shaded by updateCountries in choropleth mode
+      countryPaths = mapLayer.append("g")
+        .selectAll("path")
+        .data(basemap.countries.features)
+        .join("path")
+        .attr("fill", NO_DATA_FILL)
+        .attr("d", path)
+        .on("mouseover", (event, feature) => {
+          const { mode, countries } = overlayRef.current;
+          if (mode !== 'choropleth') return;
+          setHoveredCountry(countries.get(feature.id) || { label: feature.properties.name, count: 0 });
+        })
+        .on("mouseout", () => setHoveredCountry(null));
+      
+      mapLayer.append("path")
+        .datum(basemap.borders)
+        .attr("fill", "none")
+        .attr("stroke", "#fff")
+        .attr("stroke-width", 0.5)
+        .attr("vector-effect", "non-scaling-stroke")
+        .attr("d", path);
+    } else {
+      // Fallback to a simple rectangle background
+      mapLayer.append("rect")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("fill", "#e2e2e2");
+      
+      if (basemapError) {
         svg.append("text")
           .attr("x", width / 2)
           .attr("y", height / 2)
           .attr("text-anchor", "middle")
           .attr("fill", "#555")
           .text("World map data could not be loaded");
+      }
+    }
+    
+    // Points are drawn in screen space so markers keep their size at every zoom level
+    const pointsLayer = svg.append("g");
+    let located = [];
+    
+    // Key of the cluster currently fanned out, if any
+    let spiderfied = null;
+    // Item ID of the pinned discovery, which is outlined wherever it is drawn
+    let pinned = null;
+    
+    const drawPoint = (parent, d, x, y) => parent.append("circle")
+      .datum(d)
+      .attr("cx", x)
+      .attr("cy", y)
+      .attr("r", 5)
+      .attr("fill", fieldColorScale(d.fieldCategory))
+      .attr("stroke", d.discovery === pinned ? "#111" : "#fff")
+      .attr("stroke-width", d.discovery === pinned ? 2.5 : 1)
+      .attr("opacity", 0.7)
+      .attr("class", "discovery-point")
+      .style("cursor", "pointer")
+      .on("click", (event) => {
+        event.stopPropagation();
+        setPinnedPoint(d);
+      })
+      .on("mouseover", (event) => {
+        setSelectedPoint(d);
+        
+        d3.select(event.currentTarget)
+          .attr("r", 8)
+          .attr("opacity", 1);
+      })
+      .on("mouseout", (event) => {
+        setSelectedPoint(null);
+        
+        d3.select(event.currentTarget)
+          .attr("r", 5)
+          .attr("opacity", 0.7);
       });
-  }, [data, timeRange, selectedField]);
+    
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .translateExtent([[0, 0], [width, height]]);
+    
+    // Zoom in on a cluster until it splits; points that share a location never split, so fan them out
+    const expandCluster = (cluster, transform) => {
+      const spread = clusterSpread(cluster);
+      if (spread * MAX_ZOOM < CLUSTER_RADIUS || transform.k >= MAX_ZOOM) {
+        spiderfied = cluster.key;
+        renderPoints(transform);
+        return;
+      }
+      
+      const k = Math.min(MAX_ZOOM, Math.max(transform.k * 2, CLUSTER_RADIUS / spread));
+      svg.transition()
+        .duration(600)
+        .call(zoom.transform, d3.zoomIdentity.translate(width / 2, height / 2).scale(k).translate(-cluster.x, -cluster.y));
+    };
+    
+    // Contents of one mark: a point, a numbered cluster or a fanned-out cluster
+    const drawMark = (group, cluster, transform) => {
+      const count = cluster.members.length;
+      group.selectAll("*").remove();
+      group
+        .attr("class", "map-mark")
+        .style("cursor", null)
+        .on("click", null);
+      
+      if (count === 1) {
+        drawPoint(group, cluster.members[0].datum, 0, 0);
+        return;
+      }
+      
+      if (cluster.key === spiderfied) {
+        const offsets = spiderfyOffsets(count);
+        group.selectAll("line")
+          .data(offsets)
+          .join("line")
+            .attr("x2", d => d[0])
+            .attr("y2", d => d[1])
+            .attr("stroke", "#666")
+            .attr("stroke-width", 1);
+        group.append("circle")
+          .attr("r", 2)
+          .attr("fill", "#666");
+        cluster.members.forEach((member, i) => drawPoint(group, member.datum, offsets[i][0], offsets[i][1]));
+        return;
+      }
+      
+      // Coloured by the most common field in the cluster
+      const [category] = d3.greatest(
+        d3.rollups(cluster.members, members => members.length, member => member.datum.fieldCategory),
+        ([, n]) => n
+      );
+      
+      group
+        .attr("class", "map-mark discovery-cluster")
+        .style("cursor", "pointer")
+        .on("click", (event) => {
+          event.stopPropagation();
+          expandCluster(cluster, transform);
+        });
+      group.append("circle")
+        .attr("r", 8 + 2 * Math.sqrt(count))
+        .attr("fill", fieldColorScale(category))
+        .attr("fill-opacity", 0.85)
+        .attr("stroke", cluster.members.some(member => member.datum.discovery === pinned) ? "#111" : "#fff")
+        .attr("stroke-width", 1.5);
+      group.append("text")
+        .attr("text-anchor", "middle")
+        .attr("dy", "0.35em")
+        .attr("fill", "#fff")
+        .attr("font-size", 11)
+        .attr("font-weight", "bold")
+        .text(count);
+      group.append("title")
+        .text(`${count} discoveries: ${cluster.members.slice(0, 5).map(member => member.datum.discoveryLabel).join(", ")}${count > 5 ? ", ..." : ""}`);
+    };
+    
+    // Marks are keyed by their first point, so a cluster that only gains or loses members stays
+    // in place; with `animate`, new marks fade in and old ones fade out
+    const renderPoints = (transform, animate = false) => {
+      const clusters = clusterPoints(located, CLUSTER_RADIUS / transform.k)
+        .map(cluster => ({ ...cluster, key: cluster.members[0].datum.key }));
+      const position = cluster => {
+        const [x, y] = transform.apply([cluster.x, cluster.y]);
+        return `translate(${x},${y})`;
+      };
+      
+      if (!animate) pointsLayer.selectAll(".map-mark-exit").remove();
+      
+      pointsLayer.selectAll(".map-mark")
+        .data(clusters, d => d.key)
+        .join(
+          enter => enter.append("g")
+            .attr("transform", position)
+            .attr("opacity", animate ? 0 : 1)
+            .each(function (cluster) { drawMark(d3.select(this), cluster, transform); })
+            .call(marks => animate && marks.transition().duration(FADE_DURATION).attr("opacity", 1)),
+          update => update
+            .each(function (cluster) { drawMark(d3.select(this), cluster, transform); })
+            .call(marks => (animate ? marks.transition().duration(FADE_DURATION) : marks.interrupt())
+              .attr("transform", position)
+              .attr("opacity", 1)),
+          exit => exit
+            .attr("class", "map-mark-exit")
+            .call(marks => (animate
+              ? marks.transition().duration(FADE_DURATION).attr("opacity", 0).remove()
+              : marks.remove()))
+        );
+    };
+    
+    zoom.on("zoom", (event) => {
+      // A fanned-out cluster only makes sense at the zoom level it was opened at
+      if (zoomRef.current && event.transform.k !== zoomRef.current.transform.k) {
+        spiderfied = null;
+      }
+      zoomRef.current = { projectionName, transform: event.transform };
+      mapLayer.attr("transform", event.transform);
+      renderPoints(event.transform);
+    });
+    
+    // Far side of the globe is left out
+    const setPoints = (items, animate) => {
+      located = items
+        .filter(d => isVisible(projection, [d.lon, d.lat]))
+        .map(d => {
+          const [x, y] = projection([d.lon, d.lat]);
+          return { x, y, datum: d };
+        });
+      renderPoints(d3.zoomTransform(svg.node()), animate);
+    };
+    
+    // Keep the view across redraws, but start over with a new projection
+    const initial = zoomRef.current && zoomRef.current.projectionName === projectionName
+      ? zoomRef.current.transform
+      : d3.zoomIdentity;
+    zoomRef.current = null;
+    located = [];
+    svg.call(zoom)
+      .call(zoom.transform, initial)
+      .on("click", () => {
+        if (spiderfied === null) return;
+        spiderfied = null;
+        renderPoints(d3.zoomTransform(svg.node()));
+      });
+    const updateCountries = ({ mode, countries }, animate) => {
+      if (!countryPaths) return;
+      const fill = feature => (mode === 'choropleth' && countries.has(feature.id) ? countries.get(feature.id).fill : NO_DATA_FILL);
+      (animate ? countryPaths.transition().duration(FADE_DURATION) : countryPaths).attr("fill", fill);
+    };
+    
+    const update = (current, animate) => {
+      pinned = current.pinned;
+      setPoints(current.mode === 'points' ? current.points : [], animate);
+      updateCountries(current, animate);
+    };
+    update(overlayRef.current, false);
+    
+    sceneRef.current = { update: (current) => update(current, true) };
+    resetZoomRef.current = () => svg.transition().duration(600).call(zoom.transform, d3.zoomIdentity);
+  }, [data, basemap, basemapError, projectionName, showGraticule, fieldColorScale]);
   
-  // Create timeline visualization
+  // Keep the timeline's brush in step with the time range, whichever control set it. Like the
+  // map's overlay effect, this comes before the timeline effect.
+  const timeRangeRef = useRef(timeRange);
   useEffect(() => {
+    timeRangeRef.current = timeRange;
+    if (timelineSceneRef.current) timelineSceneRef.current.moveBrush(timeRange);
+  }, [timeRange]);
+  
+  useEffect(() => {
+    if (timelineSceneRef.current) timelineSceneRef.current.highlight(selectedDecade);
+  }, [selectedDecade]);
+  
+  // A range brushed on the timeline; one that starts at the beginning of the data counts as
+  // "everything up to", anything else becomes a sliding window of the same width
+  const selectTimeRange = ([start, end]) => {
+    setPlaying(false);
+    if (start <= MIN_YEAR) {
+      setPlaybackMode('cumulative');
+      setTimeRange([MIN_YEAR, end]);
+    } else {
+      setPlaybackMode('windowed');
+      setWindowSize(end - start + 1);
+      setTimeRange([start, end]);
+    }
+  };
+  
+  // Create timeline visualization: discoveries per decade, stacked by field, with a brush that
+  // selects the time range
+  useEffect(() => {
+    timelineSceneRef.current = null;
     if (!data.length || !timelineRef.current) return;
     
     // Filter data based on selected field
     const filteredData = selectedField === 'all' 
       ? data 
       : data.filter(item => item.fieldCategory === selectedField);
+    const keys = selectedField === 'all' ? fields : [selectedField];
     
-    // Group data by decade
+    // Group data by decade and field
     const decadeCounts = {};
     
     filteredData.forEach(item => {
       const decade = Math.floor(item.year / 10) * 10;
       if (!decadeCounts[decade]) {
-        decadeCounts[decade] = { decade, count: 0, discoveries: [] };
+        decadeCounts[decade] = { decade, count: 0 };
+        keys.forEach(key => {
+          decadeCounts[decade][key] = 0;
+        });
       }
       decadeCounts[decade].count++;
-      decadeCounts[decade].discoveries.push(item);
+      decadeCounts[decade][item.fieldCategory]++;
     });
     
     // Convert to array and sort by decade
     const timelineData = Object.values(decadeCounts).sort((a, b) => a.decade - b.decade);
+    const series = d3.stack().keys(keys)(timelineData);
     
     // Clear previous visualization
     d3.select(timelineRef.current).selectAll("*").remove();
     
     const width = timelineRef.current.clientWidth || 800;
-    const height = 100;
+    const height = 120;
+    const margin = { top: 10, right: 20, bottom: 30, left: 40 };
     
     const svg = d3.select(timelineRef.current)
       .attr("width", width)
       .attr("height", height)
       .attr("viewBox", [0, 0, width, height]);
       
+    // Whole decades around all discoveries, whatever the field filter
+    const [minYear, maxYear] = d3.extent(data, d => d.year);
+    const domain = [Math.floor(minYear / 10) * 10, Math.floor(maxYear / 10) * 10 + 10];
+    
     // Set up scales
     const xScale = d3.scaleLinear()
-      .domain([1800, 2023])
-      .range([40, width - 20]);
+      .domain(domain)
+      .range([margin.left, width - margin.right]);
       
     const yScale = d3.scaleLinear()
       .domain([0, d3.max(timelineData, d => d.count) || 10])
-      .range([height - 30, 10]);
+      .nice()
+      .range([height - margin.bottom, margin.top]);
       
-    // Add x-axis
+    // Add axes
+    svg.append("g")
+      .attr("transform", `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(xScale).tickFormat(d => d).ticks(Math.min(10, (domain[1] - domain[0]) / 10)));
+    
     svg.append("g")
-      .attr("transform", `translate(0,${height - 30})`)
-      .call(d3.axisBottom(xScale).tickFormat(d => d).ticks(10));
+      .attr("transform", `translate(${margin.left},0)`)
+      .call(d3.axisLeft(yScale).ticks(3).tickFormat(d3.format("d")));
       
-    // Add bars
-    svg.selectAll("rect")
-      .data(timelineData)
+    // Add stacked bars, one layer per field
+    const bars = svg.append("g")
+      .selectAll("g")
+      .data(series)
+      .join("g")
+        .attr("fill", layer => fieldColorScale(layer.key))
+      .selectAll("rect")
+      .data(layer => layer)
       .join("rect")
-        .attr("x", d => xScale(d.decade))
-        .attr("y", d => yScale(d.count))
-        .attr("width", 8)
-        .attr("height", d => height - 30 - yScale(d.count))
-        .attr("fill", selectedField === 'all' ? "#6c757d" : fieldColorScale(selectedField))
-        .attr("opacity", d => selectedDecade === d.decade ? 1 : 0.7)
-        .on("mouseover", (event, d) => {
-          setSelectedDecade(d.decade);
-          
-          d3.select(event.currentTarget)
-            .attr("opacity", 1);
-        })
-        .on("mouseout", () => {
-          setSelectedDecade(null);
-          
-          d3.selectAll("rect")
-            .attr("opacity", 0.7);
-        });
-  }, [data, selectedField, selectedDecade]);
+        .attr("x", d => xScale(d.data.decade) + 0.5)
+        .attr("y", d => yScale(d[1]))
+        .attr("width", d => Math.max(1, xScale(d.data.decade + 10) - xScale(d.data.decade) - 1))
+        .attr("height", d => yScale(d[0]) - yScale(d[1]))
+        .attr("opacity", 0.7);
+    
+    const brush = d3.brushX()
+      .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+      .on("end", (event) => {
+        // Ignore moves made by moveBrush
+        if (!event.sourceEvent) return;
+        if (!event.selection) {
+          selectTimeRange([MIN_YEAR, CURRENT_YEAR]);
+          return;
+        }
+        
+        // A selection that reaches either end of the axis is open on that side
+        const [x0, x1] = event.selection;
+        const start = x0 <= margin.left ? MIN_YEAR : Math.round(xScale.invert(x0));
+        const end = x1 >= width - margin.right ? CURRENT_YEAR : Math.round(xScale.invert(x1)) - 1;
+        selectTimeRange([start, Math.max(start, end)]);
+      });
+    
+    const brushLayer = svg.append("g")
+      .attr("class", "timeline-brush")
+      .call(brush);
+    
+    // The brush overlay sits on top of the bars, so hover is worked out from the pointer position
+    svg
+      .on("mousemove", (event) => {
+        const [x] = d3.pointer(event);
+        const decade = Math.floor(xScale.invert(x) / 10) * 10;
+        setSelectedDecade(decadeCounts[decade] ? decade : null);
+      })
+      .on("mouseleave", () => setSelectedDecade(null));
+    
+    // Show `range` on the brush; the whole axis is shown as no selection
+    const moveBrush = ([start, end]) => {
+      const x0 = xScale(Math.max(start, domain[0]));
+      const x1 = xScale(Math.min(end + 1, domain[1]));
+      // The domain rounds up to the next decade, so the range can end at the current year and still be everything
+      const everything = start <= domain[0] && end >= Math.min(domain[1] - 1, CURRENT_YEAR);
+      brushLayer.call(brush.move, everything || x1 <= x0 ? null : [x0, x1]);
+    };
+    
+    const highlight = (decade) => {
+      bars.attr("opacity", d => (d.data.decade === decade ? 1 : 0.7));
+    };
+    
+    moveBrush(timeRangeRef.current);
+    highlight(null);
+    timelineSceneRef.current = { moveBrush, highlight };
+  }, [data, selectedField, fields, fieldColorScale]);
   
   // Filter data for highlighted decade
   const decadeHighlightedData = selectedDecade 
@@ -338,40 +692,83 @@ const ScientificDiscoveries = () => {
   return (
     <div className="p-4 border rounded-lg shadow-lg">
       <h2 className="text-xl font-bold mb-4">Geographic Distribution of Scientific Discoveries</h2>
+      <DataAsOf result={result} />
       
       {fallbackMode ? (
         <div className="border p-4 bg-yellow-100">
-          <p className="font-medium">Using demo data - GitHub Pages has security restrictions that prevent loading data directly from Wikidata.</p>
+          <p className="font-medium">
+            {result.error
+              ? 'Using demo data - the live query to Wikidata failed, so the figures below are not real.'
+              : 'Using demo data - offline mode is on, so the figures below come from fixtures rather than Wikidata.'}
+          </p>
           <p className="mt-2">This visualization demonstrates the geographic distribution of scientific discoveries throughout history.</p>
         </div>
       ) : null}
       
       <div className="flex flex-wrap gap-4 mb-6">
         <div>
-          <label className="block text-sm font-medium mb-1">Time Period:</label>
+          <label className="block text-sm font-medium mb-1">Time Period: {timeRange[0]}-{timeRange[1]}</label>
           <div className="flex items-center gap-2">
-            <span>{timeRange[0]}</span>
-            <input
-              type="range"
-              min="1800"
-              max="2023"
-              value={timeRange[0]}
-              onChange={(e) => setTimeRange([parseInt(e.target.value), timeRange[1]])}
-              className="w-24"
-            />
-            <span>to</span>
+            <button
+              className="px-3 py-1 rounded bg-blue-500 text-white w-16"
+              onClick={togglePlayback}
+            >
+              {playing ? 'Pause' : 'Play'}
+            </button>
             <input
               type="range"
-              min="1800"
-              max="2023"
+              min={MIN_YEAR}
+              max={CURRENT_YEAR}
               value={timeRange[1]}
-              onChange={(e) => setTimeRange([timeRange[0], parseInt(e.target.value)])}
-              className="w-24"
+              onChange={(e) => setTimeRange(rangeEndingAt(parseInt(e.target.value)))}
+              className="w-48"
+              aria-label="Year"
             />
-            <span>{timeRange[1]}</span>
           </div>
         </div>
         
+        <div>
+          <label className="block text-sm font-medium mb-1">Show:</label>
+          <div className="flex items-center gap-2">
+            <select
+              value={playbackMode}
+              onChange={(e) => {
+                setPlaybackMode(e.target.value);
+                setTimeRange(rangeEndingAt(timeRange[1], e.target.value));
+              }}
+              className="border rounded p-1"
+            >
+              <option value="cumulative">Everything up to the year</option>
+              <option value="windowed">A sliding window</option>
+            </select>
+            {playbackMode === 'windowed' && (
+              <select
+                value={windowSize}
+                onChange={(e) => {
+                  setWindowSize(Number(e.target.value));
+                  setTimeRange(rangeEndingAt(timeRange[1], playbackMode, Number(e.target.value)));
+                }}
+                className="border rounded p-1"
+              >
+                {[...new Set([...WINDOW_SIZES, windowSize])].sort((a, b) => a - b).map(size => (
+                  <option key={size} value={size}>{size} years</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Speed:</label>
+          <select
+            value={playbackSpeed}
+            onChange={(e) => setPlaybackSpeed(Number(e.target.value))}
+            className="border rounded p-1"
+          >
+            {PLAYBACK_SPEEDS.map(speed => <option key={speed} value={speed}>{speed} years/s</option>)}
+          </select>
+        </div>
+        
         <div>
           <label className="block text-sm font-medium mb-1">Scientific Field:</label>
           <select 
@@ -381,38 +778,163 @@ const ScientificDiscoveries = () => {
           >
             <option value="all">All Fields</option>
             {fields.map(field => (
-              <option key={field} value={field}>{field.charAt(0).toUpperCase() + field.slice(1)}</option>
+              <option key={field} value={field}>{labelOf(field)}</option>
             ))}
           </select>
         </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Map:</label>
+          <div className="flex items-center gap-2">
+            <select
+              value={mapMode}
+              onChange={(e) => {
+                setMapMode(e.target.value);
+                setHoveredCountry(null);
+              }}
+              className="border rounded p-1"
+            >
+              <option value="points">Discoveries</option>
+              <option value="choropleth">Countries</option>
+            </select>
+            {mapMode === 'choropleth' && (
+              <select
+                value={choroplethMeasure}
+                onChange={(e) => setChoroplethMeasure(e.target.value)}
+                className="border rounded p-1"
+              >
+                {Object.entries(CHOROPLETH_MEASURES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium mb-1">Projection:</label>
+          <select
+            value={projectionName}
+            onChange={(e) => setProjectionName(e.target.value)}
+            className="border rounded p-1"
+          >
+            {Object.entries(PROJECTIONS).map(([name, { label }]) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </div>
+        
+        <div className="flex flex-col justify-end text-sm">
+          <label>
+            <input
+              type="checkbox"
+              checked={showGraticule}
+              onChange={(e) => setShowGraticule(e.target.checked)}
+              className="mr-1"
+            />
+            Graticules
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={highResolution}
+              onChange={(e) => setHighResolution(e.target.checked)}
+              className="mr-1"
+            />
+            High-resolution outlines
+          </label>
+        </div>
       </div>
       
       <div className="flex flex-wrap gap-4 mb-2">
-        {["physics", "chemistry", "biology", "medicine", "computer science"].map(field => (
+        {fields.map(field => (
           <div key={field} className="flex items-center">
             <span 
               className="inline-block w-3 h-3 mr-1 rounded-full" 
               style={{ backgroundColor: fieldColorScale(field) }}
             ></span>
-            <span className="text-xs">{field.charAt(0).toUpperCase() + field.slice(1)}</span>
+            <span className="text-xs">{labelOf(field)}</span>
           </div>
         ))}
+        {taxonomyLoading && <span className="text-xs text-gray-600">Grouping fields into disciplines...</span>}
       </div>
       
       {loading ? (
-        <div className="flex justify-center items-center h-64">Loading data from Wikidata...</div>
-      ) : error && !fallbackMode ? (
+        <div className="flex justify-center items-center h-64">
+          Loading data from Wikidata...
+          {progress && ` ${progress.rows} rows (page ${progress.pages})`}
+        </div>
+      ) : error ? (
         <div className="text-red-500 p-4">Error: {error}</div>
       ) : (
         <>
           <div className="relative border rounded p-4 mb-4 bg-white">
             <svg ref={mapRef} className="w-full"></svg>
+            {playing && (
+              <div className="absolute top-6 left-6 text-2xl font-bold text-gray-500 pointer-events-none">
+                {timeRange[0] === timeRange[1] ? timeRange[1] : `${timeRange[0]}-${timeRange[1]}`}
+              </div>
+            )}
+            <div className="flex items-center justify-between mt-2 text-xs text-gray-600">
+              <span>
+                {mapMode === 'points'
+                  ? 'Scroll to zoom and drag to pan. Click a numbered cluster to expand it, or a point to pin its details.'
+                  : 'Scroll to zoom and drag to pan. Hover a country for its count.'}
+              </span>
+              <button
+                className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300"
+                onClick={() => resetZoomRef.current && resetZoomRef.current()}
+              >
+                Reset zoom
+              </button>
+            </div>
+            {mapMode === 'choropleth' && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-600">
+                {choropleth.scale ? (
+                  <>
+                    <span>0</span>
+                    <span
+                      className="inline-block h-3 w-40"
+                      style={{ background: `linear-gradient(to right, ${d3.range(0, 1.01, 0.1).map(t => choropleth.scale(t * choropleth.scale.domain()[1])).join(', ')})` }}
+                    ></span>
+                    <span>
+                      {choroplethMeasure === 'perCapita'
+                        ? `${formatRate(choropleth.scale.domain()[1])} per million people`
+                        : `${choropleth.scale.domain()[1]} discoveries`}
+                    </span>
+                  </>
+                ) : (
+                  <span>Countries are coloured by their most common field, as in the legend above.</span>
+                )}
+                {choroplethMeasure === 'perCapita' && populationLoading && <span>Loading populations...</span>}
+                {countryStats.unmatched > 0 && (
+                  <span className="ml-4">
+                    {countryStats.unmatched} {countryStats.unmatched === 1 ? 'discovery has' : 'discoveries have'} no country with an ISO code and {countryStats.unmatched === 1 ? 'is' : 'are'} not shown.
+                  </span>
+                )}
+              </div>
+            )}
+            {hoveredCountry && (
+              <div className="absolute top-4 right-4 bg-white p-3 rounded shadow-md border w-64 pointer-events-none">
+                <h3 className="font-bold">{hoveredCountry.label}</h3>
+                <div className="text-sm mt-2">
+                  <p><span className="font-medium">Discoveries:</span> {hoveredCountry.count}</p>
+                  {hoveredCountry.perMillion != null && (
+                    <p><span className="font-medium">Per million people:</span> {formatRate(hoveredCountry.perMillion)}</p>
+                  )}
+                  {hoveredCountry.leadingField && (
+                    <p><span className="font-medium">Leading field:</span> {labelOf(hoveredCountry.leadingField)}</p>
+                  )}
+                </div>
+              </div>
+            )}
             {selectedPoint && (
               <div className="absolute top-4 right-4 bg-white p-3 rounded shadow-md border w-64">
                 <h3 className="font-bold">{selectedPoint.discoveryLabel}</h3>
                 <div className="text-sm mt-2">
                   <p><span className="font-medium">Year:</span> {selectedPoint.year}</p>
-                  <p><span className="font-medium">Field:</span> {selectedPoint.fieldLabel || selectedPoint.fieldCategory}</p>
+                  <p><span className="font-medium">Field:</span> {selectedPoint.fieldLabel || labelOf(selectedPoint.fieldCategory)}</p>
+                  <p><span className="font-medium">Discipline:</span> {labelOf(selectedPoint.fieldCategory)}</p>
                   <p><span className="font-medium">Location:</span> {selectedPoint.locationLabel}, {selectedPoint.countryLabel}</p>
                   <p><span className="font-medium">Discoverer:</span> {selectedPoint.discovererLabel || "Unknown"}</p>
                 </div>
@@ -420,9 +942,22 @@ const ScientificDiscoveries = () => {
             )}
           </div>
           
+          {pinnedPoint && (
+            <DiscoveryDetailPanel
+              key={pinnedPoint.discovery}
+              discovery={pinnedPoint}
+              hidden={!mapData.some(item => item.discovery === pinnedPoint.discovery)}
+              demo={fallbackMode}
+              onClose={() => setPinnedPoint(null)}
+            />
+          )}
+          
           <div className="border rounded p-4 mb-4 bg-white">
             <h3 className="text-lg font-semibold mb-2">Timeline of Discoveries</h3>
-            <p className="text-sm mb-2">Hover over decades to see key discoveries from that period</p>
+            <p className="text-sm mb-2">
+              Drag across the timeline to choose the time period, or click it to show all years.
+              Hover over decades to see key discoveries from that period.
+            </p>
             <svg ref={timelineRef} className="w-full"></svg>
             
             {selectedDecade && decadeHighlightedData.length > 0 && (
@@ -443,7 +978,7 @@ const ScientificDiscoveries = () => {
       )}
       
       <div className="text-sm text-gray-600">
-        <p>Data source: {fallbackMode ? "Demo data" : "Wikidata SPARQL Query Service"}</p>
+        <DataProvenance result={result} loading={loading} onRetry={refetch} />
         <p className="mt-2">
           <strong>Analysis:</strong> This visualization reveals how centers of scientific discovery have shifted 
           geographically over time. The map shows the locations of major scientific discoveries and inventions, 
@@ -0,0 +1,221 @@
+// Built-in fixtures for the visualization queries, used for demos, tests and offline mode
+// Recorded responses are picked up from ./recorded/*.json (see ./recorded/README.md).
+
+const ENTITY = 'http://www.wikidata.org/entity/';
+
+// Binding helpers so fixture rows carry the same types as real SPARQL JSON results
+const uriBinding = (value) => ({ type: 'uri', value });
+const entityBinding = (id) => uriBinding(`${ENTITY}${id}`);
+const labelBinding = (value) => ({ type: 'literal', value, 'xml:lang': 'en' });
+const typedBinding = (value, type) => ({ type: 'literal', value: value.toString(), datatype: `http://www.w3.org/2001/XMLSchema#${type}` });
+const stringBinding = (value) => ({ type: 'literal', value });
+
+const DEFAULT_OCCUPATIONS = [
+  { id: 'Q11063', label: 'astronomer' },
+  { id: 'Q169470', label: 'physicist' },
+  { id: 'Q593644', label: 'chemist' },
+  { id: 'Q170790', label: 'mathematician' },
+  { id: 'Q37226', label: 'teacher' },
+  { id: 'Q5482740', label: 'programmer' },
+  { id: 'Q11631', label: 'astronaut' }
+];
+
+// Gender counts per period for the occupations in the query's params.
+// The female share rises over time so demo charts look like the real trend.
+const generateGenderBindings = (sparqlQuery, random, {
+  occupations = DEFAULT_OCCUPATIONS,
+  startYear = 1800,
+  endYear = null,
+  bucketSize = 10
+} = {}) => {
+  // The same period arithmetic as the query's BIND
+  const startPeriod = startYear - (startYear % bucketSize);
+  const lastYear = endYear === null ? 2000 : Math.min(2000, endYear);
+  const bindings = [];
+
+  occupations.forEach(({ id, label }) => {
+    const baseShare = 0.02 + random() * 0.1;
+
+    for (let period = startPeriod; period <= lastYear; period += bucketSize) {
+      const progress = Math.max(0, period - 1800) / 200;
+      const share = Math.min(0.6, baseShare + 0.4 * progress * progress + (random() - 0.5) * 0.04);
+      const male = Math.max(1, Math.floor(((50 + random() * 100 + progress * 200) * bucketSize) / 10));
+      const female = Math.max(1, Math.round((male * share) / (1 - share)));
+
+      const genders = [['Q6581097', 'male', male], ['Q6581072', 'female', female]];
+      // A handful of non-binary people in recent periods
+      if (period >= 1950) {
+        genders.push(['Q48270', 'non-binary', 1 + Math.floor(random() * 4 * progress)]);
+      }
+
+      genders.forEach(([genderId, genderLabel, count]) => {
+        bindings.push({
+          field: entityBinding(id),
+          fieldLabel: labelBinding(label),
+          period: typedBinding(period, 'integer'),
+          gender: entityBinding(genderId),
+          genderLabel: labelBinding(genderLabel),
+          count: typedBinding(count, 'integer')
+        });
+      });
+    }
+  });
+
+  return bindings;
+};
+
+// Regions for the citizenship breakdown: [id, label, share of people, female share multiplier]
+const REGIONS = {
+  country: [
+    ['Q30', 'United States', 0.28, 1.2],
+    ['Q145', 'United Kingdom', 0.14, 1.1],
+    ['Q183', 'Germany', 0.13, 0.8],
+    ['Q142', 'France', 0.11, 1.0],
+    ['Q159', 'Russia', 0.09, 1.4],
+    ['Q38', 'Italy', 0.07, 0.9],
+    ['Q17', 'Japan', 0.06, 0.5],
+    ['Q668', 'India', 0.05, 0.7],
+    ['Q155', 'Brazil', 0.04, 1.3],
+    ['Q148', "People's Republic of China", 0.03, 1.1]
+  ],
+  continent: [
+    ['Q46', 'Europe', 0.5, 1.0],
+    ['Q49', 'North America', 0.3, 1.2],
+    ['Q48', 'Asia', 0.12, 0.7],
+    ['Q18', 'South America', 0.04, 1.3],
+    ['Q15', 'Africa', 0.03, 0.9],
+    ['Q55643', 'Oceania', 0.01, 1.1]
+  ]
+};
+
+// The gender counts above split across countries or continents with a different female share in each
+const generateGenderByRegionBindings = (sparqlQuery, random, params = {}) => {
+  const regions = REGIONS[params.region] || REGIONS.country;
+  const bindings = [];
+
+  generateGenderBindings(sparqlQuery, random, params).forEach(row => {
+    const female = row.gender.value.endsWith('Q6581072');
+    regions.forEach(([id, label, weight, femaleMultiplier]) => {
+      const count = Math.round(Number(row.count.value) * weight * (female ? femaleMultiplier : 1) * (0.8 + random() * 0.4));
+      if (count === 0) return;
+      bindings.push({
+        ...row,
+        region: entityBinding(id),
+        regionLabel: labelBinding(label),
+        count: typedBinding(count, 'integer')
+      });
+    });
+  });
+
+  return bindings;
+};
+
+const FIRST_NAMES = {
+  Q6581072: ['Ada', 'Marie', 'Lise', 'Emmy', 'Rosalind', 'Grace', 'Hedy', 'Vera', 'Chien-Shiung', 'Dorothy'],
+  Q6581097: ['Albert', 'Niels', 'Max', 'Enrico', 'Paul', 'Werner', 'Erwin', 'Richard', 'Hideki', 'Subrahmanyan'],
+  other: ['Alex', 'Sam', 'Robin', 'Kai', 'Noor', 'Jules']
+};
+const SURNAMES = ['Noether', 'Curie', 'Meitner', 'Franklin', 'Hopper', 'Rubin', 'Wu', 'Hodgkin', 'Bohr', 'Planck', 'Fermi', 'Dirac', 'Yukawa', 'Raman', 'Lovelace'];
+
+// A made-up page of people for the drill-down query; the number of people is seeded by the query
+const generatePeopleBindings = (sparqlQuery, random, { genderIds = [], fromYear = 1900, toYear = 1910 } = {}) => {
+  const names = genderIds.length === 1 ? FIRST_NAMES[genderIds[0]] || FIRST_NAMES.other : FIRST_NAMES.other;
+  const people = Math.floor(20 + random() * 100);
+  const bindings = [];
+
+  for (let i = 0; i < people; i++) {
+    const year = fromYear + Math.floor(random() * (toYear - fromYear));
+    const month = String(1 + Math.floor(random() * 12)).padStart(2, '0');
+    const day = String(1 + Math.floor(random() * 28)).padStart(2, '0');
+    bindings.push({
+      person: entityBinding(`Q${Math.floor(random() * 100000000)}`),
+      personLabel: labelBinding(`${names[Math.floor(random() * names.length)]} ${SURNAMES[Math.floor(random() * SURNAMES.length)]}`),
+      birth: typedBinding(`${year}-${month}-${day}T00:00:00Z`, 'dateTime')
+    });
+  }
+
+  return bindings.sort((a, b) => a.birth.value.localeCompare(b.birth.value));
+};
+
+const FIELD_IDS = {
+  'physics': 'Q413',
+  'chemistry': 'Q2329',
+  'biology': 'Q420',
+  'medicine': 'Q11190',
+  'computer science': 'Q21198',
+  'electronics': 'Q11650',
+  'molecular biology': 'Q7202'
+};
+
+// Broader-field links for the fixture fields that are not disciplines themselves
+const FIELD_PARENTS = [
+  ['Q11650', 'Q413'],
+  ['Q7202', 'Q420']
+];
+
+// Country QID, ISO 3166-1 numeric code and population
+const COUNTRIES = {
+  'United Kingdom': ['Q145', '826', 67026292],
+  'Germany': ['Q183', '276', 84358845],
+  'France': ['Q142', '250', 68042591],
+  'United States': ['Q30', '840', 331449281],
+  'Switzerland': ['Q39', '756', 8670300],
+  'Russia': ['Q159', '643', 146171015]
+};
+
+const DISCOVERIES = [
+  { name: 'Electromagnetic induction', year: 1831, field: 'physics', location: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, discoverer: 'Michael Faraday' },
+  { name: 'X-rays', year: 1895, field: 'physics', location: 'Würzburg', country: 'Germany', lat: 49.7913, lon: 9.9534, discoverer: 'Wilhelm Röntgen' },
+  { name: 'Radioactivity', year: 1896, field: 'physics', location: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, discoverer: 'Henri Becquerel' },
+  { name: 'Electron', year: 1897, field: 'physics', location: 'Cambridge', country: 'United Kingdom', lat: 52.2053, lon: 0.1218, discoverer: 'J.J. Thomson' },
+  { name: 'DNA structure', year: 1953, field: 'molecular biology', location: 'Cambridge', country: 'United Kingdom', lat: 52.2053, lon: 0.1218, discoverer: 'Watson and Crick' },
+  { name: 'Penicillin', year: 1928, field: 'medicine', location: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, discoverer: 'Alexander Fleming' },
+  { name: 'Transistor', year: 1947, field: 'electronics', location: 'New Jersey', country: 'United States', lat: 40.0583, lon: -74.4057, discoverer: 'Bardeen, Brattain, and Shockley' },
+  { name: 'World Wide Web', year: 1989, field: 'computer science', location: 'Geneva', country: 'Switzerland', lat: 46.2044, lon: 6.1432, discoverer: 'Tim Berners-Lee' },
+  { name: 'Periodic table', year: 1869, field: 'chemistry', location: 'Saint Petersburg', country: 'Russia', lat: 59.9343, lon: 30.3351, discoverer: 'Dmitri Mendeleev' },
+  { name: 'Theory of relativity', year: 1905, field: 'physics', location: 'Bern', country: 'Switzerland', lat: 46.9480, lon: 7.4474, discoverer: 'Albert Einstein' }
+];
+
+// A fixed set of well-known discoveries; only the item IDs come from the seeded generator
+const generateDiscoveryBindings = (sparqlQuery, random) => DISCOVERIES
+  .map(d => ({
+    discovery: entityBinding(`Q${Math.floor(random() * 1000000)}`),
+    discoveryLabel: labelBinding(d.name),
+    year: typedBinding(d.year, 'integer'),
+    field: entityBinding(FIELD_IDS[d.field]),
+    fieldLabel: labelBinding(d.field),
+    locationLabel: labelBinding(d.location),
+    country: entityBinding(COUNTRIES[d.country][0]),
+    countryLabel: labelBinding(d.country),
+    countryIso: stringBinding(COUNTRIES[d.country][1]),
+    lat: typedBinding(d.lat, 'double'),
+    lon: typedBinding(d.lon, 'double'),
+    discovererLabel: labelBinding(d.discoverer)
+  }))
+  .sort((a, b) => Number(a.year.value) - Number(b.year.value));
+
+const generateCountryPopulationBindings = () => Object.entries(COUNTRIES).map(([label, [id, iso, population]]) => ({
+  country: entityBinding(id),
+  countryLabel: labelBinding(label),
+  iso: stringBinding(iso),
+  maxPopulation: typedBinding(population, 'decimal')
+}));
+
+// The links for whichever fixture fields the taxonomy query asks about
+const generateFieldTaxonomyBindings = (sparqlQuery, random, { fieldIds = [] } = {}) => {
+  const asked = new Set(fieldIds);
+  return FIELD_PARENTS
+    .filter(([item]) => asked.has(item))
+    .map(([item, parent]) => ({ item: entityBinding(item), parent: entityBinding(parent) }));
+};
+
+export const builtInFixtures = [
+  { id: 'gender-representation', generate: generateGenderBindings },
+  { id: 'gender-representation-by-region', generate: generateGenderByRegionBindings },
+  { id: 'gender-people', generate: generatePeopleBindings },
+  { id: 'scientific-discoveries', generate: generateDiscoveryBindings },
+  { id: 'country-populations', generate: generateCountryPopulationBindings },
+  { id: 'field-taxonomy', generate: generateFieldTaxonomyBindings }
+];
+
+export const recordedFixtures = Object.values(import.meta.glob('./recorded/*.json', { eager: true, import: 'default' }));
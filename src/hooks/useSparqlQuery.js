@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { querySPARQLDataset, processWikidataResults, isAbortError, isOfflineMode } from '../utils/wikidata';
+import { loadSnapshot } from '../utils/snapshots';
+
+// Run a SPARQL query for a component and track its loading, error and progress state.
+// `query` is a query string, or an array of partition queries for querySPARQLPartitioned;
+// set `paged` to page a single query past the row limit. With `snapshotId` a build-time data
+// snapshot of the same query is used first (see utils/snapshots.js). The request is cancelled when
+// the query changes or the component unmounts, and refetch() runs it live, bypassing cache and snapshot.
+//
+// Returns { result, data, loading, error, progress, refetch } where `result` is the envelope
+// from the data layer and `data` its rows decoded by processWikidataResults.
+export const useSparqlQuery = (query, {
+  paged = false,
+  cacheTimeMinutes = 60,
+  maxRows,
+  mode = 'typed',
+  snapshotId,
+  enabled = true
+} = {}) => {
+  const [state, setState] = useState({
+    result: null,
+    data: [],
+    loading: enabled,
+    error: null,
+    progress: null
+  });
+  const [reloadCount, setReloadCount] = useState(0);
+  const forceRefreshRef = useRef(false);
+
+  const queryKey = Array.isArray(query) ? query.join('\n') : query;
+
+  useEffect(() => {
+    if (!enabled || !queryKey) {
+      setState(prev => ({ ...prev, loading: false }));
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const forceRefresh = forceRefreshRef.current;
+    forceRefreshRef.current = false;
+
+    const applyResult = (result) => {
+      if (signal.aborted) return;
+      setState({
+        result,
+        data: processWikidataResults(result.data, { mode }),
+        loading: false,
+        error: null,
+        progress: null
+      });
+    };
+
+    const onProgress = (progress) => {
+      if (!signal.aborted) {
+        setState(prev => ({ ...prev, progress }));
+      }
+    };
+
+    setState(prev => ({ ...prev, loading: true, error: null, progress: null }));
+
+    const fetchLive = () => querySPARQLDataset(query, {
+      paged,
+      cacheTimeMinutes,
+      maxRows,
+      forceRefresh,
+      onProgress,
+      signal,
+      onRevalidate: applyResult
+    });
+
+    const request = snapshotId && !forceRefresh && !isOfflineMode()
+      ? loadSnapshot(snapshotId, query, { signal }).then(snapshot => snapshot || fetchLive())
+      : fetchLive();
+
+    request
+      .then(applyResult)
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error running SPARQL query:', err);
+        setState(prev => ({ ...prev, loading: false, error: err.message }));
+      });
+
+    return () => controller.abort();
+    // queryKey stands in for query, which may be a new array with the same contents on every render
+  }, [queryKey, paged, cacheTimeMinutes, maxRows, mode, snapshotId, enabled, reloadCount]);
+
+  const refetch = useCallback(() => {
+    forceRefreshRef.current = true;
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return { ...state, refetch };
+};
@@ -0,0 +1,19 @@
+import { buildSelectQuery, comment, property, triple, labelService } from '../utils/sparqlBuilder';
+
+// Population of every country with an ISO 3166-1 numeric code, for per-capita map shading.
+// Countries with several population statements keep the largest, which is usually the latest.
+export const buildCountryPopulationQuery = ({ language = 'en' } = {}) => buildSelectQuery({
+  comment: 'Country population query',
+  id: 'country-populations',
+  select: ['?country', '?countryLabel', '?iso', '(MAX(?population) AS ?maxPopulation)'],
+  where: [
+    comment('ISO 3166-1 numeric code, as used by the world atlas'),
+    triple('?country', property('P299'), '?iso'),
+    comment('Population'),
+    triple('?country', property('P1082'), '?population'),
+    labelService(['[AUTO_LANGUAGE]', language])
+  ],
+  groupBy: ['?country', '?countryLabel', '?iso']
+});
+
+export const COUNTRY_POPULATION_QUERY = buildCountryPopulationQuery();
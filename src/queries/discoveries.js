@@ -0,0 +1,42 @@
+import { buildSelectQuery, comment, entity, property, integer, triple, optional, values, bind, filter, labelService } from '../utils/sparqlBuilder';
+
+// Discoveries and inventions with a date, field, location, country and discoverer
+export const buildDiscoveriesQuery = ({ startYear = 1800, language = 'en' } = {}) => buildSelectQuery({
+  comment: 'Scientific discoveries geographic distribution query',
+  id: 'scientific-discoveries',
+  select: ['?discovery', '?discoveryLabel', '?year', '?field', '?fieldLabel', '?locationLabel', '?country', '?countryLabel', '?countryIso', '?lat', '?lon', '?discovererLabel'],
+  where: [
+    comment('Entities that are discoveries/inventions (invention, scientific artifact, scientific discovery)'),
+    values('discoveryClass', [entity('Q1953465'), entity('Q611790'), entity('Q5633421')]),
+    triple('?discovery', `${property('P31')}/${property('P279')}*`, '?discoveryClass'),
+    comment('Discovery date/year'),
+    triple('?discovery', property('P575'), '?date'),
+    bind('YEAR(?date)', 'year'),
+    comment(`Filter for discoveries after ${startYear}`),
+    filter(`?year >= ${integer(startYear)}`),
+    comment('Get the field of the discovery'),
+    optional(triple('?discovery', property('P101'), '?field')),
+    comment('Get discovery location if available'),
+    optional(
+      triple('?discovery', [property('P740'), property('P495'), property('P291')].join('|'), '?location'),
+      comment('Get coordinates of the location'),
+      optional(triple('?location', property('P625'), '?coords')),
+      comment('Extract latitude and longitude'),
+      bind('geof:latitude(?coords)', 'lat'),
+      bind('geof:longitude(?coords)', 'lon'),
+      comment('Get country and its ISO 3166-1 numeric code, which matches the world atlas'),
+      optional(
+        triple('?location', property('P17'), '?country'),
+        optional(triple('?country', property('P299'), '?countryIso'))
+      )
+    ),
+    comment('Get discoverer/inventor'),
+    optional(triple('?discovery', `${property('P61')}|${property('P1554')}`, '?discoverer')),
+    labelService(['[AUTO_LANGUAGE]', language])
+  ],
+  // The OPTIONAL patterns give several rows per discovery, so order by every variable a row can
+  // differ in (labels follow from their entities) to keep LIMIT/OFFSET pages from overlapping
+  orderBy: ['?year', '?discovery', '?date', '?field', '?location', '?coords', '?country', '?countryIso', '?discoverer']
+});
+
+export const DISCOVERIES_QUERY = buildDiscoveriesQuery();
@@ -0,0 +1,34 @@
+import { buildSelectQuery, comment, entity, property, triple, values } from '../utils/sparqlBuilder';
+
+// Top-level disciplines that discovery fields are grouped into, in legend order
+export const DISCIPLINES = [
+  { id: 'Q413', label: 'physics' },
+  { id: 'Q2329', label: 'chemistry' },
+  { id: 'Q420', label: 'biology' },
+  { id: 'Q11190', label: 'medicine' },
+  { id: 'Q21198', label: 'computer science' },
+  { id: 'Q395', label: 'mathematics' },
+  { id: 'Q333', label: 'astronomy' },
+  { id: 'Q8008', label: 'earth science' }
+];
+
+// A field is narrower than another when it is a subclass (P279) or part (P361) of it
+const BROADER = `(${property('P279')}|${property('P361')})`;
+
+// The subclass-of and part-of links on every path from the given fields up to one of the
+// disciplines, as { item, parent } rows; utils/fieldTaxonomy.js picks the nearest discipline
+export const buildFieldTaxonomyQuery = (fieldIds, { disciplines = DISCIPLINES } = {}) => buildSelectQuery({
+  comment: 'Field taxonomy query',
+  id: 'field-taxonomy',
+  params: { fieldIds: [...fieldIds].sort() },
+  distinct: true,
+  select: ['?item', '?parent'],
+  where: [
+    values('field', [...fieldIds].sort().map(entity)),
+    values('discipline', disciplines.map(({ id }) => entity(id))),
+    comment('Broader fields of the field that lead to a discipline'),
+    triple('?field', `${BROADER}*`, '?item'),
+    triple('?item', BROADER, '?parent'),
+    triple('?parent', `${BROADER}*`, '?discipline')
+  ]
+});
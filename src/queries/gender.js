@@ -0,0 +1,141 @@
+import { buildSelectQuery, comment, count, entity, property, integer, triple, optional, values, bind, filter, labelService } from '../utils/sparqlBuilder';
+
+// Occupations compared in this view
+export const OCCUPATIONS = [
+  { id: 'Q11063', label: 'astronomer' },
+  { id: 'Q169470', label: 'physicist' },
+  { id: 'Q593644', label: 'chemist' },
+  { id: 'Q170790', label: 'mathematician' },
+  { id: 'Q37226', label: 'teacher' },
+  { id: 'Q5482740', label: 'programmer' },
+  { id: 'Q11631', label: 'astronaut' }
+];
+
+// Levels for the optional citizenship (P27) breakdown; people with several citizenships
+// are counted once for each
+export const REGION_LEVELS = {
+  country: { label: 'Country of citizenship', path: () => property('P27') },
+  continent: { label: 'Continent', path: () => `${property('P27')}/${property('P30')}` }
+};
+
+// What places a person in time: the year they were born, started work (P2031) or turned 30
+export const TIME_BASES = {
+  birth: { label: 'Birth date', description: 'year of birth', verb: 'born', property: 'P569', offset: 0 },
+  workStart: { label: 'Start of work period (P2031)', description: 'year their work period started', verb: 'started work', property: 'P2031', offset: 0 },
+  age30: { label: 'Age 30 (birth date + 30 years)', description: 'year they turned 30', verb: 'turned 30', property: 'P569', offset: 30 }
+};
+
+export const BUCKET_SIZES = [5, 10, 25];
+
+// Bind ?year for the time basis
+const yearPatterns = (timeBasis) => {
+  const basis = TIME_BASES[timeBasis];
+  if (!basis) {
+    throw new Error(`Unknown time basis: ${timeBasis}`);
+  }
+  return [
+    comment(`Get the ${basis.description}`),
+    triple('?person', property(basis.property), '?date'),
+    bind(basis.offset ? `YEAR(?date) + ${integer(basis.offset)}` : 'YEAR(?date)', 'year')
+  ];
+};
+
+// Count people per occupation, time period and gender
+// Periods are `bucketSize` years long, aligned to multiples of it, and cover startYear to
+// endYear inclusive (no upper bound when endYear is null).
+// With includeSubclasses, people in any subclass (P279) of the occupation are counted under it;
+// with region ('country' or 'continent') the counts are also split by ?region
+export const buildGenderQuery = (occupation, {
+  startYear = 1800,
+  endYear = null,
+  bucketSize = 10,
+  timeBasis = 'birth',
+  language = 'en',
+  includeSubclasses = false,
+  region = null
+} = {}) => {
+  if (region && !REGION_LEVELS[region]) {
+    throw new Error(`Unknown region level: ${region}`);
+  }
+  const regionVariables = region ? ['?region', '?regionLabel'] : [];
+  const yearRange = [`?year >= ${integer(startYear)}`, endYear !== null ? `?year <= ${integer(endYear)}` : null];
+  
+  return buildSelectQuery({
+    comment: `Gender representation evolution${region ? ` by ${region}` : ''} query (${occupation.label}${includeSubclasses ? ' and subclasses' : ''})`,
+    id: region ? 'gender-representation-by-region' : 'gender-representation',
+    params: { occupations: [{ id: occupation.id, label: occupation.label }], startYear, endYear, bucketSize, region },
+    select: ['?field', '?fieldLabel', ...regionVariables, '?period', '?gender', '?genderLabel', count('?person', 'count', { distinct: true })],
+    where: [
+      comment('Get people in the field'),
+      values('field', [entity(occupation.id)]),
+      triple('?person', includeSubclasses ? `${property('P106')}/${property('P279')}*` : property('P106'), '?field'),
+      comment('Get their gender'),
+      triple('?person', property('P21'), '?gender'),
+      region ? comment(`Get their ${REGION_LEVELS[region].label.toLowerCase()}`) : null,
+      region ? triple('?person', REGION_LEVELS[region].path(), '?region') : null,
+      ...yearPatterns(timeBasis),
+      comment(`Filter for ${endYear !== null ? `${startYear}-${endYear}` : `${startYear} onwards`}`),
+      filter(yearRange.filter(Boolean).join(' && ')),
+      comment(`Calculate the ${integer(bucketSize)}-year period`),
+      bind(`?year - (?year % ${integer(bucketSize)})`, 'period'),
+      labelService(['[AUTO_LANGUAGE]', language])
+    ],
+    groupBy: ['?field', '?fieldLabel', ...regionVariables, '?period', '?gender', '?genderLabel'],
+    // Region counts run to many pages, which need an order over the whole group key
+    orderBy: ['?period', '?gender', ...(region ? ['?region', '?field'] : [])]
+  });
+};
+
+// The people behind one segment of the gender chart: those in any of `occupationIds` with one of
+// `genderIds` ('unknown' matches unknown-value statements) whose year on `timeBasis` is in
+// [fromYear, toYear), optionally restricted to a region. One page of `limit` people, ordered by
+// birth date.
+export const buildPeopleQuery = ({
+  occupationIds,
+  genderIds,
+  fromYear,
+  toYear,
+  timeBasis = 'birth',
+  includeSubclasses = false,
+  region = null,
+  regionId = null,
+  language = 'en',
+  limit = 50,
+  offset = 0
+}) => {
+  const genderTests = genderIds
+    .map(id => (id === 'unknown' ? 'wikibase:isSomeValue(?gender)' : `?gender = ${entity(id)}`));
+  
+  return buildSelectQuery({
+    comment: `People behind a gender representation count (${fromYear}-${toYear - 1})`,
+    id: 'gender-people',
+    params: { genderIds, fromYear, toYear },
+    select: ['?person', '?personLabel', '(MIN(?birthDate) AS ?birth)', '(SAMPLE(?picture) AS ?image)'],
+    where: [
+      comment('People in the fields'),
+      values('field', occupationIds.map(entity)),
+      triple('?person', includeSubclasses ? `${property('P106')}/${property('P279')}*` : property('P106'), '?field'),
+      comment('With the gender of the segment'),
+      triple('?person', property('P21'), '?gender'),
+      filter(genderTests.join(' || ')),
+      regionId ? comment('From the selected region') : null,
+      regionId ? triple('?person', REGION_LEVELS[region].path(), entity(regionId)) : null,
+      ...yearPatterns(timeBasis),
+      comment('In the period'),
+      filter(`?year >= ${integer(fromYear)} && ?year < ${integer(toYear)}`),
+      comment('Birth date and image if there are any'),
+      optional(triple('?person', property('P569'), '?birthDate')),
+      optional(triple('?person', property('P18'), '?picture')),
+      labelService(['[AUTO_LANGUAGE]', language])
+    ],
+    groupBy: ['?person', '?personLabel'],
+    orderBy: ['?birth', '?person'],
+    limit,
+    offset
+  });
+};
+
+// One query per occupation, each paged past the endpoint's row limit
+export const buildGenderQueries = (occupations, options) => occupations.map(occupation => buildGenderQuery(occupation, options));
+
+export const GENDER_QUERIES = buildGenderQueries(OCCUPATIONS);
@@ -0,0 +1,11 @@
+import { GENDER_QUERIES } from './gender';
+import { DISCOVERIES_QUERY } from './discoveries';
+import { COUNTRY_POPULATION_QUERY } from './countries';
+
+// Queries behind each visualization, in their default configuration.
+// scripts/snapshot-data.js runs these at build time and the views load the snapshots first.
+export const VISUALIZATION_QUERIES = [
+  { id: 'gender-representation', query: GENDER_QUERIES },
+  { id: 'scientific-discoveries', query: DISCOVERIES_QUERY, paged: true },
+  { id: 'country-populations', query: COUNTRY_POPULATION_QUERY }
+];
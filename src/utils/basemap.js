@@ -0,0 +1,72 @@
+// World basemap and map projections for the discoveries map
+//
+// The TopoJSON comes from the world-atlas package and is bundled with the app, so the map works
+// offline. Each resolution is a separate chunk, imported on first use and kept for the session.
+
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+
+const ATLASES = {
+  low: () => import('world-atlas/countries-110m.json'),
+  high: () => import('world-atlas/countries-50m.json')
+};
+
+const loaded = new Map();
+
+// { countries, borders, land } as GeoJSON at 'low' (1:110m) or 'high' (1:50m) resolution
+export const loadBasemap = (resolution = 'low') => {
+  if (!ATLASES[resolution]) {
+    return Promise.reject(new Error(`Unknown basemap resolution: ${resolution}`));
+  }
+
+  if (!loaded.has(resolution)) {
+    const request = ATLASES[resolution]()
+      .then(module => {
+        const topology = module.default;
+        return {
+          countries: topojson.feature(topology, topology.objects.countries),
+          borders: topojson.mesh(topology, topology.objects.countries, (a, b) => a !== b),
+          land: topojson.feature(topology, topology.objects.land)
+        };
+      })
+      .catch(error => {
+        // Let a later call try again
+        loaded.delete(resolution);
+        throw error;
+      });
+    loaded.set(resolution, request);
+  }
+
+  return loaded.get(resolution);
+};
+
+// Mercator cannot show the poles; fit it to the inhabited latitudes instead of the whole sphere
+const MERCATOR_BOUNDS = { type: 'MultiPoint', coordinates: [[-180, -58], [180, 78]] };
+
+export const PROJECTIONS = {
+  naturalEarth: { label: 'Natural Earth', create: () => d3.geoNaturalEarth1() },
+  equalEarth: { label: 'Equal Earth', create: () => d3.geoEqualEarth() },
+  mercator: { label: 'Mercator', create: () => d3.geoMercator(), bounds: MERCATOR_BOUNDS },
+  // Centred on Europe, where most of the data is
+  orthographic: { label: 'Orthographic globe', create: () => d3.geoOrthographic().rotate([-10, -35]), globe: true }
+};
+
+// A projection fitted to width x height with a small margin
+export const createProjection = (name, width, height, margin = 10) => {
+  const definition = PROJECTIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown projection: ${name}`);
+  }
+
+  return definition.create().fitExtent(
+    [[margin, margin], [width - margin, height - margin]],
+    definition.bounds || { type: 'Sphere' }
+  );
+};
+
+// False for points on the far side of a globe projection, which d3 would still place on screen
+export const isVisible = (projection, [lon, lat]) => {
+  if (!projection.clipAngle()) return true;
+  const [lambda, phi] = projection.rotate();
+  return d3.geoDistance([lon, lat], [-lambda, -phi]) <= (projection.clipAngle() * Math.PI) / 180;
+};
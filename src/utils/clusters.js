@@ -0,0 +1,70 @@
+// Screen-space clustering for map points
+//
+// Points are { x, y, datum } in projected (unzoomed) pixels. Clustering is redone for every zoom
+// level with the radius divided by the zoom factor, so clusters split up as the user zooms in.
+
+// Greedy clustering: each point joins the first cluster whose seed lies within `radius`, otherwise
+// it starts a new cluster. A grid with cells of `radius` keeps the lookup to neighbouring cells.
+// Returns [{ id, x, y, members }] where x, y is the mean position and id is the seed's index,
+// which stays the same as long as the points and the radius do.
+export const clusterPoints = (points, radius) => {
+  const grid = new Map();
+  const clusters = [];
+
+  points.forEach((point, index) => {
+    const column = Math.floor(point.x / radius);
+    const row = Math.floor(point.y / radius);
+    let target = null;
+
+    for (let dx = -1; dx <= 1 && !target; dx++) {
+      for (let dy = -1; dy <= 1 && !target; dy++) {
+        const cell = grid.get(`${column + dx},${row + dy}`) || [];
+        target = cell.find(cluster => Math.hypot(cluster.seed.x - point.x, cluster.seed.y - point.y) <= radius) || null;
+      }
+    }
+
+    if (!target) {
+      target = { id: index, seed: point, members: [] };
+      clusters.push(target);
+      const key = `${column},${row}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(target);
+    }
+    target.members.push(point);
+  });
+
+  return clusters.map(({ id, members }) => ({
+    id,
+    x: members.reduce((sum, point) => sum + point.x, 0) / members.length,
+    y: members.reduce((sum, point) => sum + point.y, 0) / members.length,
+    members
+  }));
+};
+
+// Largest distance between any member and the cluster centre, in projected pixels
+export const clusterSpread = (cluster) => Math.max(
+  ...cluster.members.map(point => Math.hypot(point.x - cluster.x, point.y - cluster.y))
+);
+
+// Pixel offsets that fan `count` markers out around a shared centre: a ring for a few markers,
+// a spiral once a ring would crowd them
+export const spiderfyOffsets = (count, spacing = 14) => {
+  if (count <= 8) {
+    const radius = Math.max(spacing, (spacing * count) / (2 * Math.PI));
+    return Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+      return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    });
+  }
+
+  // Each step moves about one marker spacing along a spiral that widens by one spacing per turn
+  let radius = spacing;
+  let angle = 0;
+  return Array.from({ length: count }, () => {
+    const offset = [radius * Math.cos(angle), radius * Math.sin(angle)];
+    const step = spacing / radius;
+    angle += step;
+    radius += (spacing * step) / (2 * Math.PI);
+    return offset;
+  });
+};
@@ -0,0 +1,124 @@
+// Details of one discovery from the Wikibase API, for the discoveries map's detail panel
+
+import { getEntities } from './wikibaseApi';
+
+// The statements the discoveries query reads its date and place from, in display order
+const SOURCE_PROPERTIES = ['P575', 'P740', 'P495', 'P291'];
+// The properties the discoveries query reads its discoverer from
+const DISCOVERER_PROPERTIES = ['P61', 'P1554'];
+const IMAGE_PROPERTY = 'P18';
+
+// Sites with a "wiki" suffix that are not Wikipedias
+const OTHER_WIKIS = new Set([
+  'commonswiki', 'specieswiki', 'metawiki', 'mediawikiwiki', 'wikidatawiki',
+  'sourceswiki', 'incubatorwiki', 'outreachwiki', 'wikifunctionswiki', 'wikimaniawiki'
+]);
+
+// Wikibase time precision: 9 = year, 10 = month, 11 = day
+const formatTime = ({ time, precision }) => {
+  const [, sign, year, month, day] = /^([+-])(\d+)-(\d\d)-(\d\d)/.exec(time) || [];
+  if (!year) return time;
+  const era = sign === '-' ? ' BCE' : '';
+  const y = String(Number(year));
+  if (precision >= 11) return `${y}-${month}-${day}${era}`;
+  if (precision === 10) return `${y}-${month}${era}`;
+  return `${y}${era}`;
+};
+
+// A snak's value as { text } or { entityId } or { url }; labels are filled in later
+const snakValue = (snak) => {
+  if (snak.snaktype !== 'value' || !snak.datavalue) {
+    return { text: snak.snaktype === 'novalue' ? 'no value' : 'unknown value' };
+  }
+
+  const { type, value } = snak.datavalue;
+  if (type === 'wikibase-entityid') return { entityId: value.id };
+  if (type === 'time') return { text: formatTime(value) };
+  if (type === 'monolingualtext') return { text: value.text };
+  if (type === 'quantity') return { text: String(Number(value.amount)) };
+  if (type === 'globecoordinate') return { text: `${value.latitude}, ${value.longitude}` };
+  if (snak.datatype === 'url') return { url: value, text: value };
+  return { text: String(value) };
+};
+
+const statementsOf = (claims, property) => (claims[property] || []).filter(claim => claim.rank !== 'deprecated');
+
+// Each reference as a list of { property, value } parts, in the order the reference lists them
+const referencesOf = (claim) => (claim.references || []).map(reference => (
+  (reference['snaks-order'] || Object.keys(reference.snaks)).flatMap(property => (
+    reference.snaks[property].map(snak => ({ property, value: snakValue(snak) }))
+  ))
+));
+
+// Every entity or property ID that needs a label
+const idsToLabel = (details) => [
+  ...details.discoverers.map(discoverer => discoverer.id),
+  ...details.statements.flatMap(statement => [
+    statement.property,
+    statement.value.entityId,
+    ...statement.references.flatMap(parts => parts.flatMap(part => [part.property, part.value.entityId]))
+  ])
+].filter(Boolean);
+
+// Description, image file, Wikipedia articles, discoverers and the source statements with their
+// references for item `id`; the preferred language's Wikipedia article comes first
+export const loadDiscoveryDetails = async (id, { language = 'en', signal } = {}) => {
+  const entities = await getEntities([id], {
+    language,
+    props: ['labels', 'descriptions', 'claims', 'sitelinks/urls'],
+    signal
+  });
+  const entity = entities[id];
+  if (!entity || entity.missing !== undefined) {
+    throw new Error(`${id} was not found on Wikidata`);
+  }
+
+  const claims = entity.claims || {};
+  const image = statementsOf(claims, IMAGE_PROPERTY).map(claim => snakValue(claim.mainsnak).text)[0] || null;
+  // Someone listed under more than one of the properties is shown once
+  const discovererIds = [...new Set(DISCOVERER_PROPERTIES
+    .flatMap(property => statementsOf(claims, property))
+    .map(claim => snakValue(claim.mainsnak).entityId)
+    .filter(Boolean))];
+
+  const details = {
+    id,
+    label: entity.labels && entity.labels[language] ? entity.labels[language].value : id,
+    description: entity.descriptions && entity.descriptions[language] ? entity.descriptions[language].value : '',
+    image,
+    wikipedia: Object.values(entity.sitelinks || {})
+      .filter(link => link.site.endsWith('wiki') && !OTHER_WIKIS.has(link.site))
+      .map(link => ({ language: link.site.slice(0, -4).replace(/_/g, '-'), title: link.title, url: link.url }))
+      .sort((a, b) => (b.language === language) - (a.language === language) || a.language.localeCompare(b.language)),
+    discoverers: discovererIds.map(discovererId => ({ id: discovererId })),
+    statements: SOURCE_PROPERTIES.flatMap(property => statementsOf(claims, property).map(claim => ({
+      property,
+      value: snakValue(claim.mainsnak),
+      references: referencesOf(claim)
+    })))
+  };
+
+  // One more request for the labels of everything the statements point to
+  const ids = idsToLabel(details);
+  const labels = ids.length > 0 ? await getEntities(ids, { language, signal }) : {};
+  const labelOf = (entityId) => {
+    const labelled = labels[entityId];
+    return labelled && labelled.labels && labelled.labels[language] ? labelled.labels[language].value : entityId;
+  };
+  const withLabel = (value) => (value.entityId ? { ...value, text: labelOf(value.entityId) } : value);
+
+  return {
+    ...details,
+    discoverers: details.discoverers.map(discoverer => ({ ...discoverer, label: labelOf(discoverer.id) })),
+    statements: details.statements.map(statement => ({
+      ...statement,
+      propertyLabel: labelOf(statement.property),
+      value: withLabel(statement.value),
+      references: statement.references.map(parts => parts.map(part => ({
+        ...part,
+        propertyLabel: labelOf(part.property),
+        value: withLabel(part.value)
+      })))
+    }))
+  };
+};
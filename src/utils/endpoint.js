@@ -0,0 +1,162 @@
+// SPARQL endpoint configuration and transports
+
+const DEFAULT_ENDPOINT = 'https://query.wikidata.org/sparql';
+const DEFAULT_PROXY = 'https://corsproxy.io/?';
+
+// Queries whose GET URL would exceed this length are sent as POST instead
+const DEFAULT_MAX_GET_LENGTH = 2000;
+
+const STORAGE_KEY = 'wikidata-visualizations:endpoint';
+
+const env = import.meta.env || {};
+
+// Build-time defaults, set through VITE_SPARQL_* variables in .env files
+const buildConfig = {
+  endpoint: env.VITE_SPARQL_ENDPOINT || DEFAULT_ENDPOINT,
+  transport: env.VITE_SPARQL_TRANSPORT || 'proxy',
+  proxy: env.VITE_SPARQL_PROXY !== undefined ? env.VITE_SPARQL_PROXY : DEFAULT_PROXY,
+  maxGetLength: Number(env.VITE_SPARQL_MAX_GET_LENGTH) || DEFAULT_MAX_GET_LENGTH
+};
+
+const readStoredOverrides = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// ?endpoint=...&transport=...&proxy=... in the page URL override the configuration for that visit
+const readUrlOverrides = () => {
+  const overrides = {};
+
+  try {
+    const params = new URLSearchParams(window.location.search);
+    ['endpoint', 'transport', 'proxy'].forEach(key => {
+      if (params.has(key)) {
+        overrides[key] = params.get(key);
+      }
+    });
+  } catch (error) {
+    // Not running in a browser
+  }
+
+  return overrides;
+};
+
+// Runtime overrides take precedence over the build-time configuration
+let runtimeOverrides = { ...readStoredOverrides(), ...readUrlOverrides() };
+
+export const getEndpointConfig = () => ({ ...buildConfig, ...runtimeOverrides });
+
+// Override the endpoint at runtime, e.g. setEndpointConfig({ endpoint: 'http://localhost:7001', transport: 'direct' })
+// The overrides are remembered in localStorage unless persist is false.
+export const setEndpointConfig = (overrides, { persist = true } = {}) => {
+  runtimeOverrides = { ...runtimeOverrides, ...overrides };
+
+  if (persist) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(runtimeOverrides));
+    } catch (error) {
+      console.warn('Could not persist endpoint configuration:', error);
+    }
+  }
+
+  return getEndpointConfig();
+};
+
+// Drop all runtime overrides and go back to the build-time configuration
+export const resetEndpointConfig = () => {
+  runtimeOverrides = {};
+
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage may be unavailable (private mode, sandboxed iframe)
+  }
+
+  return getEndpointConfig();
+};
+
+const requestHeaders = {
+  'Accept': 'application/sparql-results+json'
+};
+
+const buildGetUrl = (endpoint, sparqlQuery) => {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  return `${endpoint}${separator}query=${encodeURIComponent(sparqlQuery)}&format=json`;
+};
+
+// GET straight to the endpoint (needs CORS on the server, as query.wikidata.org has)
+const directTransport = (sparqlQuery, config, options = {}) =>
+  fetch(buildGetUrl(config.endpoint, sparqlQuery), {
+    ...options,
+    headers: requestHeaders
+  });
+
+// GET through a prefix-style CORS proxy such as corsproxy.io
+const proxyTransport = (sparqlQuery, config, options = {}) => {
+  const proxy = config.proxy || '';
+  return fetch(`${proxy}${encodeURIComponent(config.endpoint)}?query=${encodeURIComponent(sparqlQuery)}&format=json`, {
+    ...options,
+    headers: requestHeaders
+  });
+};
+
+const postRequest = (url, sparqlQuery, options) =>
+  fetch(url, {
+    ...options,
+    method: 'POST',
+    headers: {
+      ...requestHeaders,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ query: sparqlQuery, format: 'json' }).toString()
+  });
+
+// POST form-encoded to the endpoint, for queries past URL length limits
+const postTransport = (sparqlQuery, config, options = {}) => postRequest(config.endpoint, sparqlQuery, options);
+
+// POST form-encoded through the CORS proxy; the proxy transport switches to this for long queries
+const proxyPostTransport = (sparqlQuery, config, options = {}) =>
+  postRequest(`${config.proxy || ''}${encodeURIComponent(config.endpoint)}`, sparqlQuery, options);
+
+const transports = {
+  direct: directTransport,
+  proxy: proxyTransport,
+  post: postTransport,
+  proxyPost: proxyPostTransport
+};
+
+// Register a custom transport: fn(sparqlQuery, config, fetchOptions) => Promise<Response>
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// GET transports and the POST transport they switch to when the URL would be too long
+const postFallbacks = {
+  direct: 'post',
+  proxy: 'proxyPost'
+};
+
+// Pick the transport for a query, switching GET transports to POST when the URL would be too long
+export const resolveTransport = (sparqlQuery, config = getEndpointConfig()) => {
+  const name = transports[config.transport] ? config.transport : 'proxy';
+
+  if (postFallbacks[name]) {
+    const urlLength = buildGetUrl(config.endpoint, sparqlQuery).length + (name === 'proxy' ? (config.proxy || '').length : 0);
+    if (urlLength > config.maxGetLength) {
+      return { name: postFallbacks[name], transport: transports[postFallbacks[name]] };
+    }
+  }
+
+  return { name, transport: transports[name] };
+};
+
+// Send a query using the current configuration and return the raw fetch Response
+export const sendSPARQLRequest = (sparqlQuery, options = {}) => {
+  const config = getEndpointConfig();
+  const { transport } = resolveTransport(sparqlQuery, config);
+  return transport(sparqlQuery, config, options);
+};
@@ -0,0 +1,57 @@
+// Grouping discovery fields into top-level disciplines
+//
+// Disciplines are { id, label } in legend order (see queries/fields.js); links are the
+// { item, parent } rows of the field taxonomy query.
+
+export const OTHER_CATEGORY = 'other';
+
+// The original five categories keep their colours; grey is reserved for fields outside every discipline
+const CATEGORY_COLORS = ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#a65628', '#f781bf', '#17becf', '#bcbd22', '#1b9e77'];
+const OTHER_COLOR = '#999999';
+
+// Map from field ID to the nearest discipline reachable through the links, or OTHER_CATEGORY.
+// A breadth-first search finds the fewest steps up; ties go to the discipline listed first.
+export const resolveFieldCategories = (fieldIds, links, disciplines) => {
+  const parents = new Map();
+  links.forEach(({ item, parent }) => {
+    if (!parents.has(item)) parents.set(item, []);
+    parents.get(item).push(parent);
+  });
+
+  const rank = new Map(disciplines.map(({ id }, index) => [id, index]));
+  const categories = new Map();
+
+  fieldIds.forEach(fieldId => {
+    const seen = new Set([fieldId]);
+    let level = [fieldId];
+    let category = null;
+
+    while (level.length > 0 && !category) {
+      const reached = level.filter(id => rank.has(id)).sort((a, b) => rank.get(a) - rank.get(b));
+      if (reached.length > 0) {
+        category = reached[0];
+      } else {
+        level = level
+          .flatMap(id => parents.get(id) || [])
+          .filter(id => !seen.has(id) && seen.add(id));
+      }
+    }
+
+    categories.set(fieldId, category || OTHER_CATEGORY);
+  });
+
+  return categories;
+};
+
+// Colour per category; each discipline keeps its colour whichever categories the data contains
+export const categoryColors = (disciplines) => new Map([
+  ...disciplines.map(({ id }, index) => [id, CATEGORY_COLORS[index % CATEGORY_COLORS.length]]),
+  [OTHER_CATEGORY, OTHER_COLOR]
+]);
+
+// Display label for a category, capitalised
+export const categoryLabel = (category, disciplines) => {
+  const discipline = disciplines.find(({ id }) => id === category);
+  const label = discipline ? discipline.label : 'other';
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
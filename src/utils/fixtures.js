@@ -0,0 +1,139 @@
+// Deterministic fixture data for demos, tests and offline use
+//
+// Fixtures are keyed by a stable query ID, declared in a query with an "# id: <name>" line
+// (buildSelectQuery's `id` option writes it). Queries without one are keyed by a hash of their text.
+// A lookup first tries recorded responses for the exact query, then the fixture's seeded
+// generator, so the same query always yields the same rows.
+
+import { builtInFixtures, recordedFixtures } from '../fixtures';
+import { hashString } from './hash';
+
+const fixtures = new Map();
+
+// Whitespace differences (indentation, trailing newlines) do not change a query's hash
+const normalizeQuery = (sparqlQuery) => sparqlQuery.replace(/\s+/g, ' ').trim();
+
+export const hashQuery = (sparqlQuery) => hashString(normalizeQuery(sparqlQuery));
+
+export const getQueryId = (sparqlQuery) => {
+  const match = /^\s*#\s*id:\s*(\S+)\s*$/m.exec(sparqlQuery);
+  return match ? match[1] : `hash:${hashQuery(sparqlQuery)}`;
+};
+
+// The object buildSelectQuery's `params` option wrote to the "# params:" line; {} when there is none
+export const getQueryParams = (sparqlQuery) => {
+  const match = /^\s*#\s*params:\s*(\{.*\})\s*$/m.exec(sparqlQuery);
+  if (!match) return {};
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return {};
+  }
+};
+
+// Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+export const createRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed : parseInt(hashString(String(seed)), 16);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Split a trailing LIMIT/OFFSET off a query so paged requests can be served from one fixture
+const splitPaging = (sparqlQuery) => {
+  const trimmed = sparqlQuery.trimEnd();
+  const paging = /(\s+(LIMIT|OFFSET)\s+\d+)+$/i.exec(trimmed);
+  if (!paging) {
+    return { baseQuery: trimmed, limit: null, offset: 0 };
+  }
+
+  const limit = /LIMIT\s+(\d+)/i.exec(paging[0]);
+  const offset = /OFFSET\s+(\d+)/i.exec(paging[0]);
+  return {
+    baseQuery: trimmed.slice(0, paging.index),
+    limit: limit ? Number(limit[1]) : null,
+    offset: offset ? Number(offset[1]) : 0
+  };
+};
+
+const applyPaging = (bindings, { limit, offset }) =>
+  bindings.slice(offset, limit === null ? undefined : offset + limit);
+
+// Register a fixture:
+//   id:        stable query ID the fixture answers
+//   generate:  (sparqlQuery, random, params) => bindings, called with a generator seeded from the
+//              query and the query's params (see getQueryParams)
+//   recorded:  recorded responses, [{ query, bindings }]
+// A recorded page of a paged query (one ending in LIMIT/OFFSET, as the query cache holds them) is
+// also filed under the query without its paging, so the pages together answer the whole query.
+export const registerFixture = ({ id, generate, recorded = [] }) => {
+  const existing = fixtures.get(id) || { recorded: new Map(), pages: new Map() };
+  const entry = { ...existing, generate: generate || existing.generate };
+
+  recorded.forEach(response => {
+    entry.recorded.set(hashQuery(response.query), response.bindings);
+
+    const paging = splitPaging(response.query);
+    if (paging.baseQuery !== response.query.trimEnd()) {
+      const baseHash = hashQuery(paging.baseQuery);
+      const pages = entry.pages.get(baseHash) || new Map();
+      pages.set(paging.offset, response.bindings);
+      entry.pages.set(baseHash, pages);
+    }
+  });
+
+  fixtures.set(id, entry);
+};
+
+// All rows recorded for an unpaged query: a recording of the query itself, or its recorded pages
+// laid out at their offsets
+const recordedRows = (fixture, baseQuery) => {
+  const baseHash = hashQuery(baseQuery);
+  if (fixture.recorded.has(baseHash)) return fixture.recorded.get(baseHash);
+
+  const pages = fixture.pages.get(baseHash);
+  if (!pages) return null;
+
+  const rows = [];
+  pages.forEach((bindings, offset) => {
+    bindings.forEach((binding, index) => {
+      rows[offset + index] = binding;
+    });
+  });
+  // Drop the gaps left by pages that were never recorded
+  return rows.filter(Boolean);
+};
+
+// Rows for a query from the fixture registry; [] when no fixture knows the query
+export const getFixtureBindings = (sparqlQuery) => {
+  const fixture = fixtures.get(getQueryId(sparqlQuery));
+  if (!fixture) return [];
+
+  const exact = fixture.recorded.get(hashQuery(sparqlQuery));
+  if (exact) return exact;
+
+  const paging = splitPaging(sparqlQuery);
+  const recorded = recordedRows(fixture, paging.baseQuery);
+  if (recorded) return applyPaging(recorded, paging);
+
+  if (!fixture.generate) return [];
+
+  const generated = fixture.generate(paging.baseQuery, createRandom(hashQuery(paging.baseQuery)), getQueryParams(paging.baseQuery));
+  return applyPaging(generated, paging);
+};
+
+// A recorded response in the format src/fixtures/recorded/*.json expects
+export const createFixtureRecord = (sparqlQuery, bindings) => ({
+  id: getQueryId(sparqlQuery),
+  hash: hashQuery(sparqlQuery),
+  recordedAt: new Date().toISOString(),
+  query: sparqlQuery,
+  bindings
+});
+
+builtInFixtures.forEach(registerFixture);
+recordedFixtures.forEach(record => registerFixture({ id: record.id, recorded: [record] }));
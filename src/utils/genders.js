@@ -0,0 +1,183 @@
+// Chart series for the sex or gender (P21) values found in query results
+//
+// Every value gets a stable colour: well-known items have a fixed one, anything else is
+// assigned a palette colour from a hash of its QID, so a gender keeps its colour across
+// fields, filters and reloads.
+
+import { hashString } from './hash';
+
+export const FEMALE = 'Q6581072';
+export const MALE = 'Q6581097';
+export const OTHER_GENDERS = 'other';
+export const UNKNOWN_GENDER = 'unknown';
+
+// Shares from fewer people than this are greyed out and left out of trend fits
+export const MIN_SAMPLE = 30;
+
+// "1850s" for decades, "1850-1874" for other period lengths
+export const formatPeriod = (start, size = 10) => (size === 10 ? `${start}s` : `${start}-${start + size - 1}`);
+
+const KNOWN_GENDERS = {
+  [FEMALE]: { label: 'female', color: '#8884d8' },
+  [MALE]: { label: 'male', color: '#82ca9d' },
+  Q48270: { label: 'non-binary', color: '#ffc658' },
+  Q1052281: { label: 'trans woman', color: '#ff7f50' },
+  Q2449503: { label: 'trans man', color: '#0088fe' },
+  Q1097630: { label: 'intersex', color: '#a05195' },
+  Q18116794: { label: 'genderfluid', color: '#00c49f' },
+  Q505371: { label: 'agender', color: '#d45087' },
+  Q179294: { label: 'eunuch', color: '#665191' },
+  [OTHER_GENDERS]: { label: 'other', color: '#a3a3a3' },
+  [UNKNOWN_GENDER]: { label: 'unknown value', color: '#d4d4d4' }
+};
+
+const PALETTE = ['#f95d6a', '#2f4b7c', '#bc5090', '#ffa600', '#58508d', '#003f5c', '#7a5195', '#ef5675'];
+
+// Female and male are never grouped into "other" and are stacked first
+const PINNED = [FEMALE, MALE];
+
+// Unknown-value statements come back as skolem IRIs (.well-known/genid/...) rather than items
+export const genderIdOf = (item) => (/^Q\d+$/.test(item.gender) ? item.gender : UNKNOWN_GENDER);
+
+export const genderColor = (id) => (KNOWN_GENDERS[id]
+  ? KNOWN_GENDERS[id].color
+  : PALETTE[parseInt(hashString(id), 16) % PALETTE.length]);
+
+// Series to draw for the rows in `data`, most common first after female and male.
+// Genders below `otherThreshold` (a share of all people in `data`) are merged into one "other"
+// series; `seriesOf(item)` gives the series a row counts towards.
+export const summarizeGenders = (data, { otherThreshold = 0 } = {}) => {
+  const totals = new Map();
+  const labels = new Map();
+  let total = 0;
+
+  data.forEach(item => {
+    const id = genderIdOf(item);
+    const count = Number(item.count) || 0;
+    totals.set(id, (totals.get(id) || 0) + count);
+    if (!labels.has(id) && id !== UNKNOWN_GENDER && item.genderLabel && item.genderLabel !== id) {
+      labels.set(id, item.genderLabel);
+    }
+    total += count;
+  });
+
+  const grouped = new Set(
+    [...totals.keys()].filter(id => !PINNED.includes(id) && otherThreshold > 0 && totals.get(id) < total * otherThreshold)
+  );
+  // Grouping a single category would only rename it
+  if (grouped.size === 1) grouped.clear();
+
+  const seriesOf = (item) => {
+    const id = genderIdOf(item);
+    return grouped.has(id) ? OTHER_GENDERS : id;
+  };
+
+  const seriesTotals = new Map();
+  totals.forEach((count, id) => {
+    const key = grouped.has(id) ? OTHER_GENDERS : id;
+    seriesTotals.set(key, (seriesTotals.get(key) || 0) + count);
+  });
+
+  const rank = (id) => {
+    if (PINNED.includes(id)) return PINNED.indexOf(id);
+    if (id === OTHER_GENDERS || id === UNKNOWN_GENDER) return Infinity;
+    return PINNED.length;
+  };
+
+  const labelOf = (id) => labels.get(id) || (KNOWN_GENDERS[id] ? KNOWN_GENDERS[id].label : id);
+
+  const series = [...seriesTotals.keys()]
+    .sort((a, b) => rank(a) - rank(b) || seriesTotals.get(b) - seriesTotals.get(a) || a.localeCompare(b))
+    .map(id => ({
+      id,
+      label: labelOf(id),
+      color: genderColor(id),
+      total: seriesTotals.get(id),
+      // IDs and labels of the genders merged into this series
+      genderIds: id === OTHER_GENDERS ? [...grouped] : [id],
+      members: (id === OTHER_GENDERS ? [...grouped] : [id]).map(labelOf)
+    }));
+
+  return { series, seriesOf };
+};
+
+// How "All Fields Combined" merges occupations:
+//   pooled:   every person counts once, so large fields dominate the shares
+//   averaged: the unweighted mean of each field's shares, so every field counts equally
+export const AGGREGATION_MODES = {
+  pooled: 'Pooled counts',
+  averaged: 'Mean of per-field percentages'
+};
+
+// Rows per period with `<series>Count` and `<series>Percentage` for every series.
+// Counts are always summed across fields; `mode` only decides the percentages.
+// `fieldCount` is the number of fields with people in that period.
+export const aggregateByPeriod = (data, { series, seriesOf, mode = 'pooled' }) => {
+  const periods = new Map();
+
+  data.forEach(item => {
+    const count = Number(item.count) || 0;
+    const key = seriesOf(item);
+    const fieldKey = item.field || item.fieldLabel;
+
+    if (!periods.has(item.period)) {
+      periods.set(item.period, { period: item.period, total: 0, counts: {}, fields: new Map() });
+    }
+    const entry = periods.get(item.period);
+    entry.total += count;
+    entry.counts[key] = (entry.counts[key] || 0) + count;
+
+    if (!entry.fields.has(fieldKey)) {
+      entry.fields.set(fieldKey, { total: 0, counts: {} });
+    }
+    const field = entry.fields.get(fieldKey);
+    field.total += count;
+    field.counts[key] = (field.counts[key] || 0) + count;
+  });
+
+  return [...periods.values()]
+    .sort((a, b) => a.period - b.period)
+    .map(entry => {
+      const fields = [...entry.fields.values()].filter(field => field.total > 0);
+      const row = { period: entry.period, total: entry.total, fieldCount: fields.length };
+
+      series.forEach(({ id }) => {
+        row[`${id}Count`] = entry.counts[id] || 0;
+
+        if (mode === 'averaged') {
+          const shares = fields.map(field => (field.counts[id] || 0) / field.total);
+          row[`${id}Percentage`] = shares.length ? (shares.reduce((sum, share) => sum + share, 0) / shares.length) * 100 : 0;
+        } else {
+          row[`${id}Percentage`] = entry.total ? (row[`${id}Count`] / entry.total) * 100 : 0;
+        }
+      });
+
+      return row;
+    });
+};
+
+// Female share in the most recent period and its least-squares slope, in percentage points
+// per decade, over the last `window` periods with data. Takes aggregateByPeriod rows.
+export const femaleShareTrend = (rows, { window = 5 } = {}) => {
+  const recent = rows.filter(row => row.total > 0).slice(-window);
+  if (recent.length === 0) {
+    return { latestPeriod: null, latestShare: null, changePerDecade: null };
+  }
+
+  const points = recent.map(row => [row.period, row[`${FEMALE}Percentage`] || 0]);
+  const latest = points[points.length - 1];
+  if (points.length < 2) {
+    return { latestPeriod: latest[0], latestShare: latest[1], changePerDecade: null };
+  }
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+  const variance = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+
+  return {
+    latestPeriod: latest[0],
+    latestShare: latest[1],
+    changePerDecade: variance ? (covariance / variance) * 10 : null
+  };
+};
@@ -0,0 +1,11 @@
+// Small string hash shared by the fixture registry and the chart colours
+
+// 32-bit FNV-1a hash, as 8 hex digits
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
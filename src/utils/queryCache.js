@@ -0,0 +1,203 @@
+// Persistent, size-bounded cache for SPARQL results
+// Entries live in IndexedDB and are evicted least-recently-used first once the total size
+// passes the cap. Falls back to an in-memory store where IndexedDB is unavailable.
+
+const DB_NAME = 'wikidata-visualizations';
+const DB_VERSION = 2;
+// Result bodies and their metadata are kept apart so eviction and the cache listing never load results
+const DATA_STORE = 'sparql-cache';
+const META_STORE = 'sparql-cache-meta';
+
+const env = import.meta.env || {};
+
+// Upper bound on the serialized size of all cached results together
+export const MAX_CACHE_BYTES = Number(env.VITE_QUERY_CACHE_MAX_BYTES) || 25 * 1024 * 1024;
+
+let dbPromise = null;
+const memoryStore = new Map();
+const listeners = new Set();
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Version 1 kept metadata inside the result entries; start those caches afresh
+        if (db.objectStoreNames.contains(DATA_STORE)) {
+          db.deleteObjectStore(DATA_STORE);
+        }
+        db.createObjectStore(DATA_STORE, { keyPath: 'key' });
+        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Query cache falling back to memory:', error);
+      return null;
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run requests against one or more object stores in a single transaction and resolve with the
+// result of the request makeRequest returns
+const runRequest = (db, storeNames, mode, makeRequest) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeNames, mode);
+  const request = makeRequest(transaction);
+  transaction.oncomplete = () => resolve(request && request.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Split an entry into its result data and the metadata kept in META_STORE
+const splitEntry = ({ data, ...meta }) => ({ data, meta });
+
+const storage = {
+  async get(key) {
+    const db = await openDatabase();
+    if (!db) return memoryStore.get(key);
+
+    let meta;
+    const stored = await runRequest(db, [DATA_STORE, META_STORE], 'readonly', transaction => {
+      const metaRequest = transaction.objectStore(META_STORE).get(key);
+      metaRequest.onsuccess = () => { meta = metaRequest.result; };
+      return transaction.objectStore(DATA_STORE).get(key);
+    });
+    return stored && meta ? { ...meta, data: stored.data } : undefined;
+  },
+  // Metadata of every entry, least recently used first
+  async getAllMeta() {
+    const db = await openDatabase();
+    if (!db) {
+      return [...memoryStore.values()]
+        .map(entry => splitEntry(entry).meta)
+        .sort((a, b) => a.lastAccess - b.lastAccess);
+    }
+    return runRequest(db, META_STORE, 'readonly', transaction => (
+      transaction.objectStore(META_STORE).index('lastAccess').getAll()
+    ));
+  },
+  async put(entry) {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStore.set(entry.key, entry);
+      return;
+    }
+    const { data, meta } = splitEntry(entry);
+    await runRequest(db, [DATA_STORE, META_STORE], 'readwrite', transaction => {
+      transaction.objectStore(DATA_STORE).put({ key: entry.key, data });
+      return transaction.objectStore(META_STORE).put(meta);
+    });
+  },
+  // Update an entry's metadata without rewriting its result
+  async putMeta(meta) {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStore.set(meta.key, { ...memoryStore.get(meta.key), ...meta });
+      return;
+    }
+    await runRequest(db, META_STORE, 'readwrite', transaction => transaction.objectStore(META_STORE).put(meta));
+  },
+  async delete(key) {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStore.delete(key);
+      return;
+    }
+    await runRequest(db, [DATA_STORE, META_STORE], 'readwrite', transaction => {
+      transaction.objectStore(DATA_STORE).delete(key);
+      return transaction.objectStore(META_STORE).delete(key);
+    });
+  },
+  async clear() {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStore.clear();
+      return;
+    }
+    await runRequest(db, [DATA_STORE, META_STORE], 'readwrite', transaction => {
+      transaction.objectStore(DATA_STORE).clear();
+      return transaction.objectStore(META_STORE).clear();
+    });
+  }
+};
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+// Subscribe to cache changes; returns an unsubscribe function
+export const subscribeToQueryCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// An entry is stale once it is older than its TTL (or the TTL given by the caller)
+export const isEntryStale = (entry, ttlMinutes = entry.ttlMinutes) =>
+  (Date.now() - entry.timestamp) / (1000 * 60) >= ttlMinutes;
+
+// Look up an entry and mark it as recently used
+export const getCachedEntry = async (key) => {
+  try {
+    const entry = await storage.get(key);
+    if (!entry) return null;
+
+    const touched = { ...entry, lastAccess: Date.now() };
+    await storage.putMeta(splitEntry(touched).meta);
+    return touched;
+  } catch (error) {
+    console.warn('Error reading query cache:', error);
+    return null;
+  }
+};
+
+// Evict least-recently-used entries until the cache fits in MAX_CACHE_BYTES
+const evictEntries = async (keepKey) => {
+  const entries = await storage.getAllMeta();
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  const candidates = entries.filter(entry => entry.key !== keepKey);
+
+  for (const entry of candidates) {
+    if (totalSize <= MAX_CACHE_BYTES) break;
+    await storage.delete(entry.key);
+    totalSize -= entry.size;
+  }
+};
+
+export const setCachedEntry = async (key, data, { ttlMinutes = 60, query = key } = {}) => {
+  try {
+    const size = JSON.stringify(data).length;
+
+    // A single result larger than the whole cache is not worth keeping
+    if (size > MAX_CACHE_BYTES) return;
+
+    const now = Date.now();
+    const rows = Array.isArray(data) ? data.length : 0;
+    await storage.put({ key, query, data, size, rows, ttlMinutes, timestamp: now, lastAccess: now });
+    await evictEntries(key);
+    notify();
+  } catch (error) {
+    console.warn('Error writing query cache:', error);
+  }
+};
+
+export const deleteCachedEntry = async (key) => {
+  await storage.delete(key);
+  notify();
+};
+
+export const clearQueryCache = async () => {
+  await storage.clear();
+  notify();
+};
+
+// Metadata for every cached entry (without the result data), most recently used first
+export const listCachedEntries = async () => (await storage.getAllMeta()).reverse();
@@ -0,0 +1,60 @@
+// Static data snapshots written into dist/data by scripts/snapshot-data.js
+//
+// dist/data/manifest.json lists one snapshot per visualization query ID together with a hash of
+// the query it was made from, so a view only uses a snapshot when it asks for exactly that query.
+
+import { hashQuery } from './fixtures';
+
+const env = import.meta.env || {};
+
+export const SNAPSHOT_DIRECTORY = 'data';
+export const SNAPSHOT_MANIFEST = 'manifest.json';
+
+// Snapshots can be turned off with VITE_USE_SNAPSHOTS=false to always query live
+const snapshotsEnabled = env.VITE_USE_SNAPSHOTS !== 'false';
+
+let manifestPromise = null;
+
+// One query string for a query or a list of partition queries
+export const queryKeyOf = (query) => (Array.isArray(query) ? query.join('\n') : query);
+
+const loadManifest = () => {
+  if (!manifestPromise) {
+    manifestPromise = fetch(`${SNAPSHOT_DIRECTORY}/${SNAPSHOT_MANIFEST}`, { cache: 'no-cache' })
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+  return manifestPromise;
+};
+
+// Result envelope for the snapshot of `id`, or null when there is no snapshot for this exact query
+export const loadSnapshot = async (id, query, { signal } = {}) => {
+  if (!snapshotsEnabled) return null;
+
+  const manifest = await loadManifest();
+  const entry = manifest && manifest.snapshots && manifest.snapshots[id];
+  const queryKey = queryKeyOf(query);
+
+  if (!entry || entry.queryHash !== hashQuery(queryKey)) return null;
+
+  try {
+    const response = await fetch(`${SNAPSHOT_DIRECTORY}/${entry.file}`, { signal });
+    if (!response.ok) return null;
+
+    const snapshot = await response.json();
+    return {
+      data: snapshot.bindings,
+      source: 'snapshot',
+      timestamp: Date.parse(snapshot.generatedAt),
+      error: null,
+      query: queryKey,
+      stale: false,
+      truncated: Boolean(snapshot.truncated),
+      pages: snapshot.pages || 0
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn(`Could not load data snapshot for ${id}:`, error);
+    return null;
+  }
+};
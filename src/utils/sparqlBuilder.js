@@ -0,0 +1,168 @@
+// Small composable builder for the SPARQL queries the views send to Wikidata
+//
+// Pattern helpers (triple, optional, values, filter, bind, labelService, ...) return SPARQL
+// text and buildSelectQuery assembles them into a query with the PREFIX declarations it needs.
+// Values that come from UI state should go through entity(), property(), variable(), literal()
+// or integer(), which validate or escape their input; plain strings are inserted as-is.
+
+// Prefixes Wikidata's query service predefines; declared explicitly so other endpoints work too
+export const PREFIXES = {
+  wd: 'http://www.wikidata.org/entity/',
+  wdt: 'http://www.wikidata.org/prop/direct/',
+  p: 'http://www.wikidata.org/prop/',
+  ps: 'http://www.wikidata.org/prop/statement/',
+  pq: 'http://www.wikidata.org/prop/qualifier/',
+  wikibase: 'http://wikiba.se/ontology#',
+  bd: 'http://www.bigdata.com/rdf#',
+  geof: 'http://www.opengis.net/def/function/geosparql/',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  schema: 'http://schema.org/',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+const indent = (text, spaces = 2) => text
+  .split('\n')
+  .map(line => (line ? `${' '.repeat(spaces)}${line}` : line))
+  .join('\n');
+
+const block = (patterns) => `{\n${indent(patterns.filter(Boolean).join('\n'))}\n}`;
+
+// ---- Terms ----
+
+// ?name from 'name' or '?name'
+export const variable = (name) => {
+  const bare = String(name).replace(/^\?/, '');
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(bare)) {
+    throw new Error(`Invalid SPARQL variable name: ${name}`);
+  }
+  return `?${bare}`;
+};
+
+// wd:Q42 from 'Q42'
+export const entity = (id) => {
+  if (!/^Q\d+$/.test(id)) {
+    throw new Error(`Invalid Wikidata item ID: ${id}`);
+  }
+  return `wd:${id}`;
+};
+
+// wdt:P31 from 'P31' (or another property prefix such as 'p' or 'pq')
+export const property = (id, prefix = 'wdt') => {
+  if (!/^P\d+$/.test(id)) {
+    throw new Error(`Invalid Wikidata property ID: ${id}`);
+  }
+  if (!PREFIXES[prefix]) {
+    throw new Error(`Unknown prefix: ${prefix}`);
+  }
+  return `${prefix}:${id}`;
+};
+
+// Quoted string literal, optionally language-tagged
+export const literal = (value, { language } = {}) => {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+
+  if (language) {
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(language)) {
+      throw new Error(`Invalid language tag: ${language}`);
+    }
+    return `"${escaped}"@${language}`;
+  }
+  return `"${escaped}"`;
+};
+
+export const integer = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error(`Expected an integer, got: ${value}`);
+  }
+  return String(number);
+};
+
+// (COUNT(DISTINCT ?person) AS ?count)
+export const count = (expression, as, { distinct = false } = {}) =>
+  `(COUNT(${distinct ? 'DISTINCT ' : ''}${expression}) AS ${variable(as)})`;
+
+// ---- Graph patterns ----
+
+export const comment = (text) => `# ${String(text).replace(/\s*\n\s*/g, ' ')}`;
+
+export const triple = (subject, predicate, object) => `${subject} ${predicate} ${object}.`;
+
+export const optional = (...patterns) => `OPTIONAL ${block(patterns)}`;
+
+export const union = (...groups) => groups.map(group => block(group)).join(' UNION ');
+
+export const values = (name, terms) => `VALUES ${variable(name)} { ${terms.join(' ')} }`;
+
+export const filter = (expression) => `FILTER(${expression})`;
+
+export const bind = (expression, as) => `BIND(${expression} AS ${variable(as)})`;
+
+// Label service; fills ?xLabel for every selected ?x
+export const labelService = (languages = ['[AUTO_LANGUAGE]', 'en']) => {
+  languages.forEach(language => {
+    if (language !== '[AUTO_LANGUAGE]' && !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(language)) {
+      throw new Error(`Invalid language code: ${language}`);
+    }
+  });
+  return `SERVICE wikibase:label { bd:serviceParam wikibase:language "${languages.join(',')}". }`;
+};
+
+// ---- Queries ----
+
+// PREFIX declarations for every known prefix the query text uses
+const prefixDeclarations = (text) => Object.keys(PREFIXES)
+  .filter(prefix => new RegExp(`(^|[^\\w:/#])${prefix}:`, 'm').test(text.replace(/#.*$/gm, '')))
+  .map(prefix => `PREFIX ${prefix}: <${PREFIXES[prefix]}>`);
+
+// Assemble a SELECT query
+//   comment:  leading "# ..." line naming the query (shown in the cache UI)
+//   id:       stable query ID, written as an "# id: ..." line and used to look up fixtures
+//   params:   plain object describing the query for its fixture generator, written as an
+//             "# params: {...}" JSON line (see getQueryParams in utils/fixtures.js)
+//   select:   projected variables and expressions, e.g. ['?field', count('?person', 'count')]
+//   where:    graph patterns from the helpers above
+//   groupBy, orderBy: lists of variables or expressions
+//   limit, offset: optional integers
+export const buildSelectQuery = ({
+  comment: title,
+  id,
+  params,
+  select,
+  distinct = false,
+  where,
+  groupBy = [],
+  orderBy = [],
+  limit,
+  offset
+}) => {
+  if (!select || select.length === 0) {
+    throw new Error('A SELECT query needs at least one projected variable');
+  }
+
+  const body = [
+    `SELECT ${distinct ? 'DISTINCT ' : ''}${select.join(' ')}`,
+    `WHERE ${block(where)}`,
+    groupBy.length > 0 ? `GROUP BY ${groupBy.join(' ')}` : null,
+    orderBy.length > 0 ? `ORDER BY ${orderBy.join(' ')}` : null,
+    limit !== undefined ? `LIMIT ${integer(limit)}` : null,
+    offset !== undefined ? `OFFSET ${integer(offset)}` : null
+  ].filter(Boolean).join('\n');
+
+  if (id !== undefined && !/^[\w.\/-]+$/.test(id)) {
+    throw new Error(`Invalid query ID: ${id}`);
+  }
+
+  return [
+    title ? comment(title) : null,
+    id ? `# id: ${id}` : null,
+    params ? `# params: ${JSON.stringify(params)}` : null,
+    ...prefixDeclarations(body),
+    '',
+    body
+  ].filter(line => line !== null).join('\n');
+};
@@ -0,0 +1,60 @@
+// Statistics for share-over-time series
+//
+// Points are { x, value, n }: a time bucket, a share in [0, 1] and the sample size it comes from.
+
+// Wilson score interval for a binomial proportion; [low, high] in [0, 1], or null without a sample
+export const wilsonInterval = (successes, n, z = 1.96) => {
+  if (!n) return null;
+
+  const p = successes / n;
+  const z2 = z * z;
+  const denominator = 1 + z2 / n;
+  const centre = (p + z2 / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denominator;
+  return [Math.max(0, centre - margin), Math.min(1, centre + margin)];
+};
+
+// Centred moving average over 2 * radius + 1 points, weighted by sample size so that
+// small, noisy buckets move the line less
+export const smoothShares = (points, { radius = 1 } = {}) => points.map((point, i) => {
+  const neighbours = points.slice(Math.max(0, i - radius), i + radius + 1).filter(p => p.n > 0);
+  const weight = neighbours.reduce((sum, p) => sum + p.n, 0);
+  return weight ? neighbours.reduce((sum, p) => sum + p.value * p.n, 0) / weight : null;
+});
+
+const logit = (p) => Math.log(p / (1 - p));
+const logistic = (y) => 1 / (1 + Math.exp(-y));
+
+// When the share reaches `target` if the recent trend continues.
+// Fits a logistic curve (least squares on the log-odds, weighted by sample size) to the last
+// `window` points with at least `minSample` people, so the projection levels off instead of
+// overshooting 100%. Returns { status, year, predict }:
+//   reached:      the latest point is already at or above the target
+//   projected:    `year` is when the fitted curve crosses the target
+//   diverging:    the share is flat or falling, so it never gets there
+//   insufficient: fewer than three usable points
+export const projectParity = (points, { target = 0.5, window = 5, minSample = 1 } = {}) => {
+  const usable = points.filter(p => p.n >= minSample && p.value > 0 && p.value < 1).slice(-window);
+  const latest = points.filter(p => p.n >= minSample).slice(-1)[0];
+
+  if (latest && latest.value >= target) {
+    return { status: 'reached', year: latest.x, predict: null };
+  }
+  if (usable.length < 3) {
+    return { status: 'insufficient', year: null, predict: null };
+  }
+
+  const weight = usable.reduce((sum, p) => sum + p.n, 0);
+  const meanX = usable.reduce((sum, p) => sum + p.x * p.n, 0) / weight;
+  const meanY = usable.reduce((sum, p) => sum + logit(p.value) * p.n, 0) / weight;
+  const covariance = usable.reduce((sum, p) => sum + p.n * (p.x - meanX) * (logit(p.value) - meanY), 0);
+  const variance = usable.reduce((sum, p) => sum + p.n * (p.x - meanX) ** 2, 0);
+  const slope = variance ? covariance / variance : 0;
+  const predict = (x) => logistic(meanY + slope * (x - meanX));
+
+  if (slope <= 0) {
+    return { status: 'diverging', year: null, predict };
+  }
+
+  return { status: 'projected', year: meanX + (logit(target) - meanY) / slope, predict };
+};
@@ -0,0 +1,66 @@
+// Helpers for the Wikibase (MediaWiki) action API, used alongside the SPARQL endpoint
+
+const env = import.meta.env || {};
+
+export const WIKIBASE_API = env.VITE_WIKIBASE_API || 'https://www.wikidata.org/w/api.php';
+
+// Call the action API; origin=* enables anonymous CORS requests
+const callApi = async (params, { signal } = {}) => {
+  const search = new URLSearchParams({ ...params, format: 'json', origin: '*' });
+  const response = await fetch(`${WIKIBASE_API}?${search}`, { signal });
+
+  if (!response.ok) {
+    throw new Error(`Wikibase API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(`Wikibase API request failed: ${data.error.info}`);
+  }
+  return data;
+};
+
+// Autocomplete search for entities by label or alias (wbsearchentities)
+// Resolves to [{ id, label, description }]
+export const searchEntities = async (term, { language = 'en', type = 'item', limit = 10, signal } = {}) => {
+  if (!term.trim()) return [];
+
+  const data = await callApi({
+    action: 'wbsearchentities',
+    search: term,
+    language,
+    uselang: language,
+    type,
+    limit: String(limit)
+  }, { signal });
+
+  return (data.search || []).map(item => ({
+    id: item.id,
+    label: item.label || item.id,
+    description: item.description || ''
+  }));
+};
+
+// wbgetentities accepts at most this many IDs per request
+const MAX_IDS_PER_REQUEST = 50;
+
+// Entities by ID (wbgetentities), in as many requests as needed. `props` picks what to return,
+// e.g. ['labels', 'descriptions', 'claims', 'sitelinks/urls']. Resolves to { [id]: entity };
+// IDs that do not exist come back with a `missing` property.
+export const getEntities = async (ids, { language = 'en', props = ['labels'], signal } = {}) => {
+  const unique = [...new Set(ids)];
+  const batches = [];
+  for (let i = 0; i < unique.length; i += MAX_IDS_PER_REQUEST) {
+    batches.push(unique.slice(i, i + MAX_IDS_PER_REQUEST));
+  }
+
+  const responses = await Promise.all(batches.map(batch => callApi({
+    action: 'wbgetentities',
+    ids: batch.join('|'),
+    props: props.join('|'),
+    languages: language,
+    languagefallback: '1'
+  }, { signal })));
+
+  return Object.assign({}, ...responses.map(data => data.entities || {}));
+};
@@ -1,134 +1,501 @@
-// Simple cache for SPARQL queries
-const queryCache = {};
+import { getEndpointConfig, sendSPARQLRequest } from './endpoint';
+import { getCachedEntry, setCachedEntry, isEntryStale } from './queryCache';
+import { getFixtureBindings } from './fixtures';
 
-// Function to execute SPARQL queries against Wikidata
-export const querySPARQL = async (sparqlQuery) => {
+const env = import.meta.env || {};
+
+// Request scheduler limits. Wikidata allows a handful of parallel queries per client and
+// answers 429 with a Retry-After header when it is overloaded.
+const MAX_CONCURRENT_REQUESTS = Number(env.VITE_SPARQL_MAX_CONCURRENT) || 2;
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// 500 is left out: WDQS reports a query timeout as a 500, and the same query would just time out again
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// Identical queries that are already on the wire share one promise
+const inFlightRequests = new Map();
+const waitingRequests = [];
+let activeRequests = 0;
+// Set after a 429 so every queued request waits out the throttle
+let pausedUntil = 0;
+
+// Queries currently being refreshed in the background
+const revalidating = new Set();
+
+// Cache and in-flight key; includes the endpoint so switching endpoints never mixes results
+const requestKey = (sparqlQuery) => `${getEndpointConfig().endpoint}\n${sparqlQuery}`;
+
+const createAbortError = () => new DOMException('The SPARQL query was aborted', 'AbortError');
+
+export const isAbortError = (error) => Boolean(error && error.name === 'AbortError');
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+};
+
+// Resolve after ms, or reject early if the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const acquireSlot = () => new Promise(resolve => {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests++;
+    resolve();
+  } else {
+    waitingRequests.push(resolve);
+  }
+});
+
+// Hand the slot straight to the next waiting request, if any
+const releaseSlot = () => {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+};
+
+// Send a single request once a concurrency slot is free
+const sendScheduledRequest = async (sparqlQuery, signal) => {
+  await acquireSlot();
+  
   try {
-    // Use a CORS proxy
-    const corsProxy = 'https://corsproxy.io/?';
-    const url = 'https://query.wikidata.org/sparql';
-    const fullUrl = `${corsProxy}${encodeURIComponent(url)}?query=${encodeURIComponent(sparqlQuery)}&format=json`;
+    throwIfAborted(signal);
     
-    const response = await fetch(fullUrl, {
-      headers: {
-        'Accept': 'application/sparql-results+json',
-        'User-Agent': 'Wikidata Visualization Tool/1.0'
-      }
-    });
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) {
+      await wait(pause, signal);
+    }
+    
+    const response = await sendSPARQLRequest(sparqlQuery, { signal });
     
     if (!response.ok) {
-      throw new Error(`SPARQL query failed: ${response.status} ${response.statusText}`);
+      const error = new Error(`SPARQL query failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
     }
     
     const data = await response.json();
     return data.results.bindings;
-  } catch (error) {
-    console.error('Error executing SPARQL query:', error);
-    // Fallback to mock data for demonstration
-    return generateMockData(sparqlQuery);
-  }
-};
-
-// Generate mock data for demos and when API fails
-function generateMockData(query) {
-  if (query.includes('gender')) {
-    return generateGenderMockData();
-  } else if (query.includes('discovery')) {
-    return generateDiscoveryMockData();
-  }
-  return [];
-}
-
-function generateGenderMockData() {
-  // Simplified mock data for gender representation
-  const fields = ['astronomer', 'physicist', 'chemist', 'programmer'];
-  const decades = [1800, 1850, 1900, 1950, 2000];
-  const data = [];
-  
-  fields.forEach(field => {
-    decades.forEach(decade => {
-      // Male data
-      data.push({
-        field: { value: `http://www.wikidata.org/entity/Q${Math.floor(Math.random() * 1000000)}` },
-        fieldLabel: { value: field },
-        decade: { value: decade.toString() },
-        gender: { value: 'http://www.wikidata.org/entity/Q6581097' },
-        genderLabel: { value: 'male' },
-        count: { value: Math.floor(Math.random() * 100 + 50).toString() }
-      });
+  } finally {
+    releaseSlot();
+  }
+};
+
+// Retry throttled and transient server errors with exponential backoff, honouring Retry-After.
+// Network errors (e.g. CORS failures) are not retried so the demo fallback is not delayed.
+const sendWithRetry = async (sparqlQuery, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendScheduledRequest(sparqlQuery, signal);
+    } catch (error) {
+      if (!RETRYABLE_STATUSES.has(error.status) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
       
-      // Female data
-      data.push({
-        field: { value: `http://www.wikidata.org/entity/Q${Math.floor(Math.random() * 1000000)}` },
-        fieldLabel: { value: field },
-        decade: { value: decade.toString() },
-        gender: { value: 'http://www.wikidata.org/entity/Q6581072' },
-        genderLabel: { value: 'female' },
-        count: { value: Math.floor(Math.random() * 50 + 5).toString() }
-      });
-    });
+      const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.5);
+      const delay = error.retryAfter !== null ? error.retryAfter : backoff;
+      if (delay > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+      
+      if (error.status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      
+      console.warn(`SPARQL query returned ${error.status}, retrying in ${Math.round(delay / 1000)}s`);
+      await wait(delay, signal);
+    }
+  }
+};
+
+// Execute a query against the configured endpoint (see endpoint.js), throwing on failure.
+// Callers sharing an in-flight request can each cancel with their own signal; the request
+// itself is only aborted once every caller has given up on it.
+const fetchSPARQL = (sparqlQuery, { signal } = {}) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  
+  const key = requestKey(sparqlQuery);
+  let request = inFlightRequests.get(key);
+  
+  if (!request) {
+    const controller = new AbortController();
+    request = {
+      controller,
+      subscribers: 0,
+      promise: sendWithRetry(sparqlQuery, controller.signal).finally(() => {
+        if (inFlightRequests.get(key) === request) {
+          inFlightRequests.delete(key);
+        }
+      })
+    };
+    inFlightRequests.set(key, request);
+  }
+  
+  const shared = request;
+  shared.subscribers++;
+  
+  if (!signal) {
+    return shared.promise;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.subscribers--;
+      if (shared.subscribers === 0) {
+        shared.controller.abort();
+        if (inFlightRequests.get(key) === shared) {
+          inFlightRequests.delete(key);
+        }
+      }
+      reject(createAbortError());
+    };
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
   });
+};
+
+// Every query function resolves to a result envelope describing where the data came from:
+//   { data, source: 'live' | 'cache' | 'mock', timestamp, error, query, stale }
+const makeResult = (sparqlQuery, data, source, { timestamp = Date.now(), error = null, stale = false } = {}) => ({
+  data,
+  source,
+  timestamp,
+  error,
+  query: sparqlQuery,
+  stale
+});
+
+// Demo data from the fixture registry stands in when the endpoint cannot be reached; the
+// envelope carries the error. Without an error the fixtures were requested on purpose (offline mode).
+const mockResult = (sparqlQuery, error = null) => makeResult(sparqlQuery, getFixtureBindings(sparqlQuery), 'mock', { error });
+
+// The "fixtures" transport answers every query from the fixture registry without any network access
+export const isOfflineMode = () => getEndpointConfig().transport === 'fixtures';
+
+// Function to execute SPARQL queries against Wikidata
+// Pass { signal } to cancel; an aborted query rejects with an AbortError instead of returning demo data.
+export const querySPARQL = async (sparqlQuery, { signal } = {}) => {
+  if (isOfflineMode()) {
+    return mockResult(sparqlQuery);
+  }
+  
+  try {
+    return makeResult(sparqlQuery, await fetchSPARQL(sparqlQuery, { signal }), 'live');
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Error executing SPARQL query:', error);
+    return mockResult(sparqlQuery, error);
+  }
+};
+
+// Refresh a stale cache entry without blocking the caller
+const revalidateInBackground = (cacheKey, sparqlQuery, cacheTimeMinutes, onRevalidate) => {
+  if (revalidating.has(cacheKey)) return;
+  revalidating.add(cacheKey);
   
-  return data;
-}
-
-function generateDiscoveryMockData() {
-  // Simplified mock data for scientific discoveries
-  const discoveries = [
-    { name: 'Electromagnetic induction', year: 1831, field: 'physics', location: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, discoverer: 'Michael Faraday' },
-    { name: 'X-rays', year: 1895, field: 'physics', location: 'Würzburg', country: 'Germany', lat: 49.7913, lon: 9.9534, discoverer: 'Wilhelm Röntgen' },
-    { name: 'Radioactivity', year: 1896, field: 'physics', location: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, discoverer: 'Henri Becquerel' },
-    { name: 'Electron', year: 1897, field: 'physics', location: 'Cambridge', country: 'United Kingdom', lat: 52.2053, lon: 0.1218, discoverer: 'J.J. Thomson' },
-    { name: 'DNA structure', year: 1953, field: 'biology', location: 'Cambridge', country: 'United Kingdom', lat: 52.2053, lon: 0.1218, discoverer: 'Watson and Crick' },
-    { name: 'Penicillin', year: 1928, field: 'medicine', location: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, discoverer: 'Alexander Fleming' },
-    { name: 'Transistor', year: 1947, field: 'physics', location: 'New Jersey', country: 'United States', lat: 40.0583, lon: -74.4057, discoverer: 'Bardeen, Brattain, and Shockley' },
-    { name: 'World Wide Web', year: 1989, field: 'computer science', location: 'Geneva', country: 'Switzerland', lat: 46.2044, lon: 6.1432, discoverer: 'Tim Berners-Lee' },
-    { name: 'Periodic table', year: 1869, field: 'chemistry', location: 'Saint Petersburg', country: 'Russia', lat: 59.9343, lon: 30.3351, discoverer: 'Dmitri Mendeleev' },
-    { name: 'Theory of relativity', year: 1905, field: 'physics', location: 'Bern', country: 'Switzerland', lat: 46.9480, lon: 7.4474, discoverer: 'Albert Einstein' }
-  ];
-  
-  return discoveries.map(d => ({
-    discovery: { value: `http://www.wikidata.org/entity/Q${Math.floor(Math.random() * 1000000)}` },
-    discoveryLabel: { value: d.name },
-    year: { value: d.year.toString() },
-    field: { value: `http://www.wikidata.org/entity/Q${Math.floor(Math.random() * 1000000)}` },
-    fieldLabel: { value: d.field },
-    locationLabel: { value: d.location },
-    countryLabel: { value: d.country },
-    lat: { value: d.lat.toString() },
-    lon: { value: d.lon.toString() },
-    discovererLabel: { value: d.discoverer }
-  }));
-}
+  fetchSPARQL(sparqlQuery)
+    .then(async results => {
+      await setCachedEntry(cacheKey, results, { ttlMinutes: cacheTimeMinutes, query: sparqlQuery });
+      if (onRevalidate) {
+        onRevalidate(makeResult(sparqlQuery, results, 'live'));
+      }
+    })
+    .catch(error => {
+      // Keep serving the stale entry
+      console.warn('Background refresh of cached query failed:', error);
+    })
+    .finally(() => {
+      revalidating.delete(cacheKey);
+    });
+};
 
 // Cached version of the query function
-export const querySPARQLWithCache = async (sparqlQuery, cacheTimeMinutes = 60) => {
-  const cacheKey = sparqlQuery;
+// Fresh entries are returned as-is. Stale entries are returned immediately and refreshed in
+// the background; onRevalidate receives the live result once it arrives.
+// forceRefresh skips the cache lookup, e.g. for a retry button. If the request fails, a cached
+// entry is still preferred over demo data. An aborted signal rejects with an AbortError.
+// revalidate: false leaves stale entries alone, for callers that refresh them themselves.
+export const querySPARQLWithCache = async (sparqlQuery, cacheTimeMinutes = 60, { onRevalidate, forceRefresh = false, revalidate = true, signal } = {}) => {
+  if (isOfflineMode()) {
+    return mockResult(sparqlQuery);
+  }
+  
+  const cacheKey = requestKey(sparqlQuery);
   
   // Check if we have a cached result
-  if (queryCache[cacheKey]) {
-    const { timestamp, data } = queryCache[cacheKey];
-    const cacheAge = (Date.now() - timestamp) / (1000 * 60); // in minutes
-    
-    if (cacheAge < cacheTimeMinutes) {
-      return data;
+  const entry = await getCachedEntry(cacheKey);
+  if (entry && !forceRefresh) {
+    const stale = isEntryStale(entry, cacheTimeMinutes);
+    if (stale && revalidate) {
+      revalidateInBackground(cacheKey, sparqlQuery, cacheTimeMinutes, onRevalidate);
     }
+    return makeResult(sparqlQuery, entry.data, 'cache', { timestamp: entry.timestamp, stale });
   }
   
-  // No valid cache, execute query
-  const results = await querySPARQL(sparqlQuery);
+  // No usable cache, execute query
+  let results;
+  try {
+    results = await fetchSPARQL(sparqlQuery, { signal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Error executing SPARQL query:', error);
+    if (entry) {
+      return makeResult(sparqlQuery, entry.data, 'cache', { timestamp: entry.timestamp, error, stale: true });
+    }
+    // Demo data is never cached
+    return mockResult(sparqlQuery, error);
+  }
   
   // Cache the results
-  queryCache[cacheKey] = {
-    timestamp: Date.now(),
-    data: results
+  await setCachedEntry(cacheKey, results, { ttlMinutes: cacheTimeMinutes, query: sparqlQuery });
+  
+  return makeResult(sparqlQuery, results, 'live');
+};
+
+// Paging defaults for querySPARQLPaged / querySPARQLPartitioned
+const DEFAULT_PAGE_SIZE = 1000;
+const DEFAULT_MAX_ROWS = Number(env.VITE_SPARQL_MAX_ROWS) || 20000;
+
+// Remove a trailing LIMIT/OFFSET so the query can be paged
+const stripLimit = (sparqlQuery) => sparqlQuery.trimEnd().replace(/(\s+(LIMIT|OFFSET)\s+\d+)+$/i, '');
+
+// Fetch one query page by page until it runs out of rows or the row cap is reached.
+// The query should have an ORDER BY so pages are stable.
+const collectPages = async (sparqlQuery, state, options) => {
+  const baseQuery = stripLimit(sparqlQuery);
+  
+  for (let offset = 0; state.rows.length < options.maxRows; offset += options.pageSize) {
+    const limit = Math.min(options.pageSize, options.maxRows - state.rows.length);
+    const page = await querySPARQLWithCache(`${baseQuery}\nLIMIT ${limit}\nOFFSET ${offset}`, options.cacheTimeMinutes, {
+      forceRefresh: options.forceRefresh,
+      // Stale pages are refreshed together by querySPARQLPartitioned
+      revalidate: false,
+      signal: options.signal
+    });
+    
+    if (page.source === 'mock') {
+      state.failed = page;
+      return;
+    }
+    
+    state.pages.push(page);
+    state.rows.push(...page.data);
+    
+    if (options.onProgress) {
+      options.onProgress({
+        rows: state.rows.length,
+        pages: state.pages.length,
+        partition: state.partition + 1,
+        partitions: state.partitions
+      });
+    }
+    
+    // A short page is the last one
+    if (page.data.length < limit) return;
+  }
+  
+  state.truncated = true;
+};
+
+// Refresh every page of a paged dataset without blocking the caller. Pages are refetched together
+// rather than one by one, since page boundaries can move when the underlying data changes.
+const revalidatePartitionsInBackground = (partitionQueries, options, onRevalidate) => {
+  const key = requestKey(partitionQueries.join('\n'));
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+  
+  querySPARQLPartitioned(partitionQueries, { ...options, forceRefresh: true })
+    .then(result => {
+      // Only hand over a complete refresh; otherwise keep serving the stale pages
+      if (result.source === 'live' && !result.error && onRevalidate) {
+        onRevalidate(result);
+      }
+    })
+    .catch(error => {
+      console.warn('Background refresh of paged query failed:', error);
+    })
+    .finally(() => {
+      revalidating.delete(key);
+    });
+};
+
+// Run several queries (e.g. one per decade or occupation), each paged with LIMIT/OFFSET, and
+// merge their rows into one result envelope. Stops once maxRows rows have been collected.
+// onProgress receives { rows, pages, partition, partitions } after every page.
+// The envelope also reports `truncated` (the row cap was hit) and the number of `pages`.
+// If any page came from a stale cache entry, every page is fetched again in the background and
+// onRevalidate receives the refreshed envelope.
+export const querySPARQLPartitioned = async (partitionQueries, {
+  pageSize = DEFAULT_PAGE_SIZE,
+  maxRows = DEFAULT_MAX_ROWS,
+  cacheTimeMinutes = 60,
+  forceRefresh = false,
+  onProgress,
+  onRevalidate,
+  signal
+} = {}) => {
+  const state = { rows: [], pages: [], partition: 0, partitions: partitionQueries.length, truncated: false, failed: null };
+  const options = { pageSize, maxRows, cacheTimeMinutes, forceRefresh, onProgress, signal };
+  
+  for (; state.partition < partitionQueries.length; state.partition++) {
+    await collectPages(partitionQueries[state.partition], state, options);
+    if (state.failed || state.truncated) break;
+  }
+  
+  const combinedQuery = partitionQueries.join('\n');
+  
+  // Nothing came back live: fall back to demo data for every partition
+  if (state.failed && state.rows.length === 0) {
+    const data = partitionQueries.flatMap(partitionQuery => getFixtureBindings(stripLimit(partitionQuery)));
+    return { ...makeResult(combinedQuery, data, 'mock', { error: state.failed.error }), truncated: false, pages: 0 };
+  }
+  
+  const source = state.pages.every(page => page.source === 'live') ? 'live' : 'cache';
+  const failedPage = state.pages.find(page => page.error);
+  const error = state.failed ? state.failed.error : (failedPage ? failedPage.error : null);
+  const stale = state.pages.some(page => page.stale);
+  
+  if (stale) {
+    revalidatePartitionsInBackground(partitionQueries, { pageSize, maxRows, cacheTimeMinutes }, onRevalidate);
+  }
+  
+  return {
+    ...makeResult(combinedQuery, state.rows, source, {
+      timestamp: Math.min(...state.pages.map(page => page.timestamp)),
+      error,
+      stale
+    }),
+    // A failed page also leaves the result incomplete
+    truncated: state.truncated || Boolean(state.failed),
+    pages: state.pages.length
   };
+};
+
+// Page through a single query past the endpoint's row limit
+export const querySPARQLPaged = (sparqlQuery, options) => querySPARQLPartitioned([sparqlQuery], options);
+
+// Run a view's query the way it asks to be run: an array of queries is partitioned, `paged`
+// pages a single query, anything else is a single cached query. All three revalidate stale cache entries
+// in the background and pass the refreshed result to onRevalidate.
+export const querySPARQLDataset = (query, { paged = false, cacheTimeMinutes = 60, onRevalidate, ...options } = {}) => {
+  if (Array.isArray(query)) {
+    return querySPARQLPartitioned(query, { cacheTimeMinutes, onRevalidate, ...options });
+  }
+  if (paged) {
+    return querySPARQLPaged(query, { cacheTimeMinutes, onRevalidate, ...options });
+  }
+  return querySPARQLWithCache(query, cacheTimeMinutes, {
+    forceRefresh: options.forceRefresh,
+    signal: options.signal,
+    onRevalidate
+  });
+};
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const WKT_LITERAL = 'http://www.opengis.net/ont/geosparql#wktLiteral';
+const ENTITY_URI = /^https?:\/\/www\.wikidata\.org\/entity\/([QPL]\d+(?:-[FS]\d+)?)$/;
+
+const NUMERIC_TYPES = new Set([
+  'integer', 'decimal', 'double', 'float', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger',
+  'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte'
+].map(type => `${XSD}${type}`));
+
+const DATE_TYPES = new Set([`${XSD}dateTime`, `${XSD}date`]);
+
+// Parse an xsd:dateTime into { value, year, date }
+// Done by hand because Date.parse rejects the 4-digit negative years Wikidata uses for BCE dates
+export const parseWikidataDate = (value) => {
+  const match = /^([+-]?\d+)-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(value);
+  if (!match) {
+    return { value, year: null, date: null };
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  // Wikidata uses 00 for unknown month/day at year precision
+  const date = new Date(Date.UTC(2000, Math.max(month - 1, 0), Math.max(day, 1), hours, minutes, seconds));
+  date.setUTCFullYear(year);
+
+  return { value, year, date };
+};
+
+// Parse a WKT point such as "Point(-0.1275 51.507222222)" into [lon, lat]
+export const parseWktPoint = (value) => {
+  const match = /Point\(\s*(-?[\d.eE+-]+)\s+(-?[\d.eE+-]+)\s*\)/i.exec(value);
+  return match ? [Number(match[1]), Number(match[2])] : null;
+};
+
+// Decode a single SPARQL JSON binding by its declared type and datatype.
+// Returns the decoded value plus any extra keys (full URI, language) to keep alongside it.
+const decodeBinding = (binding) => {
+  const { type, value, datatype } = binding;
   
-  return results;
+  if (type === 'uri') {
+    const match = ENTITY_URI.exec(value);
+    return match ? { value: match[1], extra: { Uri: value } } : { value };
+  }
+  
+  if (binding['xml:lang']) {
+    return { value, extra: { Lang: binding['xml:lang'] } };
+  }
+  
+  if (NUMERIC_TYPES.has(datatype)) {
+    return { value: Number(value) };
+  }
+  
+  if (datatype === `${XSD}boolean`) {
+    return { value: value === 'true' || value === '1' };
+  }
+  
+  if (DATE_TYPES.has(datatype)) {
+    return { value: parseWikidataDate(value) };
+  }
+  
+  if (datatype === WKT_LITERAL) {
+    return { value: parseWktPoint(value) };
+  }
+  
+  return { value };
 };
 
 // Helper to clean SPARQL query results
-export const processWikidataResults = (results) => {
+// mode 'typed' (default) decodes each binding by its datatype:
+//   numbers -> Number, xsd:boolean -> Boolean, xsd:dateTime -> { value, year, date },
+//   geo:wktLiteral points -> [lon, lat], entity URIs -> QID with the URI kept in `<key>Uri`,
+//   language-tagged literals -> string with the language kept in `<key>Lang`.
+// mode 'raw' returns every value as the plain string from the response.
+export const processWikidataResults = (results, { mode = 'typed' } = {}) => {
   if (!results || !Array.isArray(results)) {
     console.error('Invalid results format:', results);
     return [];
@@ -139,16 +506,23 @@ export const processWikidataResults = (results) => {
     
     // Convert each property object to a simple value
     Object.keys(item).forEach(key => {
-      if (item[key] && item[key].value !== undefined) {
+      if (!item[key] || item[key].value === undefined) return;
+      
+      if (mode === 'raw') {
         processed[key] = item[key].value;
-        
-        // Convert numeric strings to numbers
-        if (!isNaN(processed[key]) && key !== 'id') {
-          processed[key] = Number(processed[key]);
-        }
+        return;
+      }
+      
+      const { value, extra } = decodeBinding(item[key]);
+      processed[key] = value;
+      
+      if (extra) {
+        Object.keys(extra).forEach(suffix => {
+          processed[`${key}${suffix}`] = extra[suffix];
+        });
       }
     });
     
     return processed;
   });
-};
\ No newline at end of file
+};
@@ -1,14 +1,38 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig({
-  plugins: [react()],
-  base: './',
-  build: {
-    outDir: 'dist',
-    sourcemap: false
-  },
-  resolve: {
-    extensions: ['.js', '.jsx', '.json']
+// Allow the configured SPARQL endpoint, proxy and Wikibase API in the Content-Security-Policy connect-src
+const sparqlCsp = (env) => ({
+  name: 'sparql-csp',
+  transformIndexHtml(html) {
+    const origins = [env.VITE_SPARQL_ENDPOINT, env.VITE_SPARQL_PROXY, env.VITE_WIKIBASE_API]
+      .filter(Boolean)
+      .map(url => {
+        try {
+          return new URL(url).origin;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (origins.length === 0) return html;
+    return html.replace("connect-src 'self'", `connect-src 'self' ${origins.join(' ')}`);
   }
-});
\ No newline at end of file
+});
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_');
+
+  return {
+    plugins: [react(), sparqlCsp(env)],
+    base: './',
+    build: {
+      outDir: 'dist',
+      sourcemap: false
+    },
+    resolve: {
+      extensions: ['.js', '.jsx', '.json']
+    }
+  };
+});